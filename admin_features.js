@@ -1,57 +1,63 @@
-// Enhanced admin features for StitchVault Bot with bulk upload functionality
+// Enhanced admin features for StitchVault Bot
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { recordReferralEvent } = require('./referral_events');
+const { Channel, channelLabel, getChannel, getAdminChannel } = require('./channels');
+const { Setting } = require('./settings');
+const { defineUndoableAction, confirmAction } = require('./confirmations');
 
 // List all users with pagination
-bot.onText(/\/users(?:\s+(\d+))?/, async (msg, match) => {
+async function sendUsersPage(chatId, page) {
+  const limit = 10;
+  const skip = (page - 1) * limit;
+  
+  const users = await User.find()
+    .sort({ joinedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  
+  const totalUsers = await User.countDocuments();
+  const totalPages = Math.max(1, Math.ceil(totalUsers / limit));
+  
+  let message = `👥 Users List (Page ${page}/${totalPages}):\n\n`;
+  
+  users.forEach((user, index) => {
+    const referralStatus = user.referredBy ? 
+      (user.referralCounted ? '✅' : '⏳') : '';
+    
+    message += 
+      `${skip + index + 1}. ${user.firstName} ${user.lastName || ''}\n` +
+      `🆔 ${user.userId} | 👥 ${user.inviteCount} invites ${referralStatus}\n` +
+      `📱 ${user.joinedChannel ? '✅' : '❌'} | 🚫 ${user.isBlocked ? 'Blocked' : 'Active'}\n\n`;
+  });
+  
+  const keyboard = {
+    inline_keyboard: []
+  };
+  
+  const navButtons = [];
+  if (page > 1) {
+    navButtons.push({ text: '⬅️ Previous', callback_data: `users_page_${page - 1}` });
+  }
+  if (page < totalPages) {
+    navButtons.push({ text: 'Next ➡️', callback_data: `users_page_${page + 1}` });
+  }
+  
+  if (navButtons.length > 0) {
+    keyboard.inline_keyboard.push(navButtons);
+  }
+  
+  await bot.sendMessage(chatId, message, { 
+    reply_markup: keyboard.inline_keyboard.length > 0 ? keyboard : undefined 
+  });
+}
+
+commandRouter.register('users', { permission: 'users', args: /^(\d+)?$/, usage: '/users [page]' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const page = parseInt(match[1]) || 1;
   
-  if (!isAdmin(userId)) return;
-  
   try {
-    const limit = 10;
-    const skip = (page - 1) * limit;
-    
-    const users = await User.find()
-      .sort({ joinedAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    
-    const totalUsers = await User.countDocuments();
-    const totalPages = Math.ceil(totalUsers / limit);
-    
-    let message = `👥 Users List (Page ${page}/${totalPages}):\n\n`;
-    
-    users.forEach((user, index) => {
-      const referralStatus = user.referredBy ? 
-        (user.referralCounted ? '✅' : '⏳') : '';
-      
-      message += 
-        `${skip + index + 1}. ${user.firstName} ${user.lastName || ''}\n` +
-        `🆔 ${user.userId} | 👥 ${user.inviteCount} invites ${referralStatus}\n` +
-        `📱 ${user.joinedChannel ? '✅' : '❌'} | 🚫 ${user.isBlocked ? 'Blocked' : 'Active'}\n\n`;
-    });
-    
-    const keyboard = {
-      inline_keyboard: []
-    };
-    
-    const navButtons = [];
-    if (page > 1) {
-      navButtons.push({ text: '⬅️ Previous', callback_data: `users_page_${page - 1}` });
-    }
-    if (page < totalPages) {
-      navButtons.push({ text: 'Next ➡️', callback_data: `users_page_${page + 1}` });
-    }
-    
-    if (navButtons.length > 0) {
-      keyboard.inline_keyboard.push(navButtons);
-    }
-    
-    await bot.sendMessage(chatId, message, { 
-      reply_markup: keyboard.inline_keyboard.length > 0 ? keyboard : undefined 
-    });
-    
+    await sendUsersPage(chatId, page);
   } catch (error) {
     console.error('Users list error:', error);
     bot.sendMessage(chatId, '❌ Error fetching users list.');
@@ -59,13 +65,10 @@ bot.onText(/\/users(?:\s+(\d+))?/, async (msg, match) => {
 });
 
 // Get specific user info
-bot.onText(/\/user (\d+)/, async (msg, match) => {
+commandRouter.register('user', { permission: 'users', args: /^(\d+)$/, usage: '/user <id>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const targetUserId = parseInt(match[1]);
   
-  if (!isAdmin(userId)) return;
-  
   try {
     const user = await User.findOne({ userId: targetUserId });
     
@@ -92,17 +95,17 @@ bot.onText(/\/user (\d+)/, async (msg, match) => {
       `📅 Last Active: ${user.lastActivity.toDateString()}\n\n` +
       `📊 Statistics:\n` +
       `👥 Invites: ${user.inviteCount}\n` +
-      `💰 Total Earned: ${user.totalEarned}\n` +
-      `🏆 Last Reward: Level ${user.lastRewardLevel}\n` +
+      `🏆 Counted toward community: ${user.communityCountCounted ? '✅' : '❌'}\n` +
       `🎁 Bonus Received: ${user.bonusReceived ? '✅' : '❌'}\n\n` +
       `📱 Channel Status: ${user.joinedChannel ? '✅ Member' : '❌ Not Member'}\n` +
       `🚫 Status: ${user.isBlocked ? '🚫 Blocked' : '✅ Active'}\n\n` +
       `🔗 Referral Info:\n` +
       `📝 Code: ${user.referralCode}\n` +
       `👤 Referred by: ${referrer ? `${referrer.firstName} (${referrer.userId})` : 'Direct join'}\n` +
-      `✅ Referral counted: ${user.referralCounted ? 'Yes' : 'No'}\n` +
+      `✅ Referral counted: ${user.referralCounted ? 'Yes' : user.referralRevoked ? 'Revoked' : user.referralHeldAt ? 'On hold' : 'No'}\n` +
       `👥 Confirmed referrals: ${referredUsers}\n` +
-      `⏳ Pending referrals: ${pendingReferrals}`;
+      `⏳ Pending referrals: ${pendingReferrals}` +
+      `${user.referralReview?.status ? `\n🚩 Referral review: ${user.referralReview.status}` : ''}`;
     
     const keyboard = {
       inline_keyboard: [
@@ -114,7 +117,7 @@ bot.onText(/\/user (\d+)/, async (msg, match) => {
     };
     
     await bot.sendMessage(chatId, message, { reply_markup: keyboard });
-    
+  
   } catch (error) {
     console.error('User info error:', error);
     bot.sendMessage(chatId, '❌ Error fetching user information.');
@@ -122,162 +125,127 @@ bot.onText(/\/user (\d+)/, async (msg, match) => {
 });
 
 // Block/Unblock users
-bot.onText(/\/block (\d+)/, async (msg, match) => {
+commandRouter.register('block', { permission: 'users', audit: true, args: /^(\d+)$/, usage: '/block <id>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const targetUserId = parseInt(match[1]);
   
-  if (!isAdmin(userId)) return;
-  
   try {
+    // The user as they were before, for the audit log
     const user = await User.findOneAndUpdate(
       { userId: targetUserId },
-      { isBlocked: true },
-      { new: true }
+      { isBlocked: true }
     );
     
     if (!user) {
+      msg.audit.error = 'User not found';
       return bot.sendMessage(chatId, '❌ User not found.');
     }
+    msg.audit.before = { userId: targetUserId, isBlocked: !!user.isBlocked };
+    msg.audit.after = { userId: targetUserId, isBlocked: true };
     
+    await recordReferralEvent('blocked', user, { source: 'admin', by: msg.from.id });
     bot.sendMessage(chatId, `🚫 User ${user.firstName} (${targetUserId}) has been blocked.`);
     
     bot.sendMessage(targetUserId, 
       '🚫 You have been temporarily restricted from using this bot. Contact support if you believe this is an error.'
     ).catch(() => {});
-    
+  
   } catch (error) {
     console.error('Block user error:', error);
+    msg.audit.error = error.message;
     bot.sendMessage(chatId, '❌ Error blocking user.');
   }
 });
 
-bot.onText(/\/unblock (\d+)/, async (msg, match) => {
+commandRouter.register('unblock', { permission: 'users', audit: true, args: /^(\d+)$/, usage: '/unblock <id>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const targetUserId = parseInt(match[1]);
   
-  if (!isAdmin(userId)) return;
-  
   try {
+    // The user as they were before, for the audit log
     const user = await User.findOneAndUpdate(
       { userId: targetUserId },
-      { isBlocked: false },
-      { new: true }
+      { isBlocked: false }
     );
     
     if (!user) {
+      msg.audit.error = 'User not found';
       return bot.sendMessage(chatId, '❌ User not found.');
     }
+    msg.audit.before = { userId: targetUserId, isBlocked: !!user.isBlocked };
+    msg.audit.after = { userId: targetUserId, isBlocked: false };
     
     bot.sendMessage(chatId, `✅ User ${user.firstName} (${targetUserId}) has been unblocked.`);
     
     bot.sendMessage(targetUserId, 
       '✅ You have been unblocked and can now use the bot normally!'
     ).catch(() => {});
-    
+  
   } catch (error) {
     console.error('Unblock user error:', error);
+    msg.audit.error = error.message;
     bot.sendMessage(chatId, '❌ Error unblocking user.');
   }
 });
 
-// Broadcast message
-bot.onText(/\/broadcast (.+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const message = match[1];
-  
-  if (!isAdmin(userId)) return;
-  
-  try {
-    const users = await User.find({ isBlocked: false });
-    let sent = 0;
-    let failed = 0;
-    
-    bot.sendMessage(chatId, `📤 Starting broadcast to ${users.length} users...`);
-    
-    for (const user of users) {
-      try {
-        await bot.sendMessage(user.userId, `📢 ${message}`);
-        sent++;
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        failed++;
-      }
+// Reset user stats
+const USER_RESET = { inviteCount: 0, bonusReceived: false, referralCounted: false };
+
+defineUndoableAction('reset_user', {
+  command: '/reset_user',
+  permission: 'users',
+  snapshot: async ({ userId }) => {
+    const user = await User.findOne({ userId });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return {
+      userId,
+      inviteCount: user.inviteCount,
+      bonusReceived: user.bonusReceived,
+      referralCounted: user.referralCounted
+    };
+  },
+  apply: async ({ userId }) => {
+    const user = await User.findOneAndUpdate({ userId }, USER_RESET);
+    if (!user) {
+      throw new Error('User not found');
     }
     
-    bot.sendMessage(chatId, 
-      `📊 Broadcast completed!\n` +
-      `✅ Sent: ${sent}\n` +
-      `❌ Failed: ${failed}`
-    );
+    bot.sendMessage(userId, 
+      '🔄 Your bot statistics have been reset by an admin. You can start fresh!'
+    ).catch(() => {});
     
-  } catch (error) {
-    console.error('Broadcast error:', error);
-    bot.sendMessage(chatId, '❌ Error sending broadcast.');
+    return {
+      after: { userId, ...USER_RESET },
+      message: `🔄 Stats reset for ${user.firstName} (${userId})`
+    };
+  },
+  restore: async ({ userId, ...previous }) => {
+    await User.updateOne({ userId }, previous);
+    return `User ${userId} has ${previous.inviteCount} invites again.`;
   }
 });
 
-// Delete reward
-bot.onText(/\/delete_reward (\d+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const rewardId = parseInt(match[1]);
-  
-  if (!isAdmin(userId)) return;
-  
-  try {
-    const reward = await Reward.findOneAndDelete({ rewardId });
-    
-    if (!reward) {
-      return bot.sendMessage(chatId, '❌ Reward not found.');
-    }
-    
-    bot.sendMessage(chatId, 
-      `✅ Reward deleted successfully!\n` +
-      `📝 File: ${reward.fileName}\n` +
-      `🎯 Level: ${reward.level}\n` +
-      `🎨 Type: ${reward.isImageFile ? 'Image' : 'File'}`
-    );
-    
-  } catch (error) {
-    console.error('Delete reward error:', error);
-    bot.sendMessage(chatId, '❌ Error deleting reward.');
+// Asks first; the Reset Stats button in /user uses the same prompt
+async function confirmUserReset(msg, targetUserId) {
+  const user = await User.findOne({ userId: targetUserId });
+  if (!user) {
+    return bot.sendMessage(msg.chat.id, '❌ User not found.');
   }
-});
+  
+  return confirmAction(msg, 'reset_user', { userId: targetUserId },
+    `⚠️ Reset the stats of ${user.firstName} (${targetUserId})?\n\n` +
+    `Invites: ${user.inviteCount} → 0\n` +
+    `Bonus received and referral counted are cleared.`
+  );
+}
 
-// Reset user stats
-bot.onText(/\/reset_user (\d+)/, async (msg, match) => {
+commandRouter.register('reset_user', { permission: 'users', args: /^(\d+)$/, usage: '/reset_user <id>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const targetUserId = parseInt(match[1]);
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const user = await User.findOneAndUpdate(
-      { userId: targetUserId },
-      {
-        inviteCount: 0,
-        totalEarned: 0,
-        lastRewardLevel: 0,
-        bonusReceived: false,
-        referralCounted: false
-      },
-      { new: true }
-    );
-    
-    if (!user) {
-      return bot.sendMessage(chatId, '❌ User not found.');
-    }
-    
-    bot.sendMessage(chatId, `🔄 Stats reset for ${user.firstName} (${targetUserId})`);
-    
-    bot.sendMessage(targetUserId, 
-      '🔄 Your bot statistics have been reset by an admin. You can start fresh!'
-    ).catch(() => {});
-    
+    await confirmUserReset(msg, parseInt(match[1]));
   } catch (error) {
     console.error('Reset user error:', error);
     bot.sendMessage(chatId, '❌ Error resetting user stats.');
@@ -285,21 +253,22 @@ bot.onText(/\/reset_user (\d+)/, async (msg, match) => {
 });
 
 // Export user data
-bot.onText(/\/backup/, async (msg) => {
+commandRouter.register('backup', { permission: 'danger' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
     const users = await User.find({}, '-_id -__v').lean();
     const rewards = await Reward.find({}, '-_id -__v').lean();
-    const stats = await Stats.findOne({}, '-_id -__v').lean();
+    const stats = await Stats.find({}, '-_id -__v').lean();
     const channelPosts = await ChannelPost.find({}, '-_id -__v').lean();
+    const channels = await Channel.find({}, '-_id -__v').lean();
+    const settings = await Setting.find({}, '-_id -__v').lean();
     
     const backup = {
       exportDate: new Date().toISOString(),
       botName: 'StitchVault',
+      channels,
+      settings,
       users,
       rewards,
       stats,
@@ -313,7 +282,7 @@ bot.onText(/\/backup/, async (msg) => {
       filename: fileName,
       caption: `📁 Bot backup generated on ${new Date().toLocaleString()}`
     });
-    
+  
   } catch (error) {
     console.error('Backup error:', error);
     bot.sendMessage(chatId, '❌ Error creating backup.');
@@ -321,13 +290,11 @@ bot.onText(/\/backup/, async (msg) => {
 });
 
 // Top users leaderboard
-bot.onText(/\/top(?:\s+(\d+))?/, async (msg, match) => {
+commandRouter.register('top', { permission: 'analytics', args: /^(\d+)?$/, usage: '/top [n]' }, async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   const limit = parseInt(match[1]) || 10;
   
-  if (!isAdmin(userId)) return;
-  
   try {
     const topUsers = await User.find({ inviteCount: { $gt: 0 } })
       .sort({ inviteCount: -1 })
@@ -339,7 +306,7 @@ bot.onText(/\/top(?:\s+(\d+))?/, async (msg, match) => {
       const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
       message += 
         `${medal} ${user.firstName} ${user.lastName || ''}\n` +
-        `👥 ${user.inviteCount} invites | 💰 ${user.totalEarned} earned\n` +
+        `👥 ${user.inviteCount} invites | 📱 ${user.joinedChannel ? 'Member' : 'Not member'}\n` +
         `🆔 ${user.userId}\n\n`;
     });
     
@@ -348,196 +315,164 @@ bot.onText(/\/top(?:\s+(\d+))?/, async (msg, match) => {
     }
     
     await bot.sendMessage(chatId, message);
-    
+  
   } catch (error) {
     console.error('Top users error:', error);
     bot.sendMessage(chatId, '❌ Error fetching top users.');
   }
 });
 
-// Send custom reward to specific user
-bot.onText(/\/send_reward (\d+) (\d+)/, async (msg, match) => {
+// Send the files of a sequence to a specific user
+commandRouter.register('send_reward', { permission: 'content', audit: true, args: /^(\d+)\s+(\d+)$/, usage: '/send_reward <user id> <sequence>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const targetUserId = parseInt(match[1]);
-  const rewardLevel = parseInt(match[2]);
-  
-  if (!isAdmin(userId)) return;
+  const sequenceNumber = parseInt(match[2]);
   
   try {
+    const channel = await getAdminChannel(msg.from.id);
     const user = await User.findOne({ userId: targetUserId });
-    const rewards = await Reward.find({ level: rewardLevel });
+    const rewards = (await Reward.find({ channel: channel.key, sequenceNumber })).sort(compareRewardItems);
     
     if (!user) {
+      msg.audit.error = 'User not found';
       return bot.sendMessage(chatId, '❌ User not found.');
     }
     
     if (rewards.length === 0) {
-      return bot.sendMessage(chatId, '❌ No rewards found for this level.');
+      msg.audit.error = 'No rewards in sequence';
+      return bot.sendMessage(chatId, `❌ No rewards found for this sequence in ${channelLabel(channel)}.`);
     }
     
+    await bot.sendMessage(targetUserId, `🎁 Special reward from admin!`);
+    
     for (const reward of rewards) {
-      await sendRewardFile(targetUserId, reward, `🎁 Special reward from admin!`);
+      await sendRewardFile(targetUserId, reward);
     }
+    msg.audit.after = { channel: channel.key, userId: targetUserId, sequenceNumber, rewardIds: rewards.map(reward => reward.rewardId) };
     
     bot.sendMessage(chatId, 
       `✅ Rewards sent to ${user.firstName}!\n` +
-      `🎯 Level: ${rewardLevel}\n` +
+      `🎯 Sequence: ${sequenceNumber}\n` +
       `📦 Items sent: ${rewards.length}`
     );
-    
+  
   } catch (error) {
     console.error('Send custom reward error:', error);
+    msg.audit.error = error.message;
     bot.sendMessage(chatId, '❌ Error sending reward.');
   }
 });
 
-// Clear all rewards for a specific level
-bot.onText(/\/clear_level (\d+)/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const level = parseInt(match[1]);
-  
-  if (!isAdmin(userId)) return;
-  
-  try {
-    const result = await Reward.deleteMany({ level });
-    
-    bot.sendMessage(chatId, 
-      `🗑️ Cleared level ${level}!\n` +
-      `📦 Deleted ${result.deletedCount} rewards`
-    );
-    
-  } catch (error) {
-    console.error('Clear level error:', error);
-    bot.sendMessage(chatId, '❌ Error clearing level.');
+// Clear all rewards for a specific sequence
+defineUndoableAction('clear_sequence', {
+  command: '/clear_sequence',
+  permission: 'content',
+  snapshot: async ({ channel, sequenceNumber }) => ({
+    channel,
+    sequenceNumber,
+    rewards: await Reward.find({ channel, sequenceNumber }).lean()
+  }),
+  apply: async ({ channel, sequenceNumber }) => {
+    const result = await Reward.deleteMany({ channel, sequenceNumber });
+    await updateStats();
+    
+    return {
+      after: { channel, sequenceNumber, deleted: result.deletedCount },
+      message:
+        `🗑️ Cleared sequence ${sequenceNumber} in ${channelLabel(await getChannel(channel))}!\n` +
+        `📦 Deleted ${result.deletedCount} rewards`
+    };
+  },
+  restore: async (snapshot) => {
+    if (snapshot.rewards.length > 0) {
+      await Reward.insertMany(snapshot.rewards);
+    }
+    await updateStats();
+    return `📦 ${snapshot.rewards.length} rewards are back in sequence ${snapshot.sequenceNumber} of ${snapshot.channel}.`;
   }
 });
 
-// Force channel post for testing
-bot.onText(/\/test_channel (\d+)/, async (msg, match) => {
+commandRouter.register('clear_sequence', { permission: 'content', args: /^(\d+)$/, usage: '/clear_sequence <sequence>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  const level = parseInt(match[1]);
-  
-  if (!isAdmin(userId)) return;
+  const sequenceNumber = parseInt(match[1]);
   
   try {
-    await sendToChannel(level, 999); // 999 indicates test post
-    bot.sendMessage(chatId, `✅ Test channel post sent for level ${level}`);
+    const channel = await getAdminChannel(msg.from.id);
+    const count = await Reward.countDocuments({ channel: channel.key, sequenceNumber });
+    if (count === 0) {
+      return bot.sendMessage(chatId, `Sequence ${sequenceNumber} in ${channelLabel(channel)} has no rewards.`);
+    }
+    
+    await confirmAction(msg, 'clear_sequence', { channel: channel.key, sequenceNumber },
+      `⚠️ Delete all ${count} rewards of sequence ${sequenceNumber} in ${channelLabel(channel)}?`
+    );
+  
   } catch (error) {
-    console.error('Test channel error:', error);
-    bot.sendMessage(chatId, '❌ Error sending test post.');
+    console.error('Clear sequence error:', error);
+    bot.sendMessage(chatId, '❌ Error clearing sequence.');
   }
 });
 
-// Handle callback queries for admin actions
-bot.on('callback_query', async (callbackQuery) => {
-  const chatId = callbackQuery.message.chat.id;
-  const userId = callbackQuery.from.id;
-  const data = callbackQuery.data;
-  
-  if (!isAdmin(userId)) {
-    return bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Not authorized' });
-  }
+// Check that the bot can post to the channel
+commandRouter.register('test_channel', { permission: 'posting' }, async (msg) => {
+  const chatId = msg.chat.id;
   
   try {
-    if (data.startsWith('users_page_')) {
-      const page = parseInt(data.split('_')[2]);
-      bot.emit('message', { 
-        chat: { id: chatId }, 
-        from: callbackQuery.from, 
-        text: `/users ${page}` 
-      });
-    } else if (data.startsWith('admin_block_')) {
-      const targetUserId = parseInt(data.split('_')[2]);
-      const user = await User.findOneAndUpdate({ userId: targetUserId }, { isBlocked: true });
-      if (user) {
-        bot.answerCallbackQuery(callbackQuery.id, { text: '✅ User blocked' });
-        bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
-          chat_id: chatId,
-          message_id: callbackQuery.message.message_id
-        });
-      } else {
-        bot.answerCallbackQuery(callbackQuery.id, { text: 'User not found!', show_alert: true });
-      }
-    } else if (data.startsWith('admin_unblock_')) {
-      const targetUserId = parseInt(data.split('_')[2]);
-      const user = await User.findOneAndUpdate({ userId: targetUserId }, { isBlocked: false });
-      if (user) {
-        bot.answerCallbackQuery(callbackQuery.id, { text: '✅ User unblocked' });
-        bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
-          chat_id: chatId,
-          message_id: callbackQuery.message.message_id
-        });
-      } else {
-        bot.answerCallbackQuery(callbackQuery.id, { text: 'User not found!', show_alert: true });
-      }
-    } else if (data.startsWith('admin_reset_')) {
-      const targetUserId = parseInt(data.split('_')[2]);
-      const user = await User.findOneAndUpdate(
-        { userId: targetUserId },
-        {
-          inviteCount: 0,
-          totalEarned: 0,
-          lastRewardLevel: 0,
-          bonusReceived: false,
-          referralCounted: false
-        }
-      );
-      if (user) {
-        bot.answerCallbackQuery(callbackQuery.id, { text: '✅ Stats reset' });
-      } else {
-        bot.answerCallbackQuery(callbackQuery.id, { text: 'User not found!', show_alert: true });
-      }
-    }
+    const channel = await getAdminChannel(msg.from.id);
+    const botInfo = await bot.getMe();
+    const botMember = await bot.getChatMember(channel.chatId, botInfo.id);
+    const testMessage = await bot.sendMessage(channel.chatId, '🧪 StitchVault bot test message');
+    await bot.deleteMessage(channel.chatId, testMessage.message_id).catch(() => {});
     
+    bot.sendMessage(chatId, 
+      `✅ Channel test passed!\n\n` +
+      `Channel: ${channelLabel(channel)} (${channel.chatId})\n` +
+      `Bot status: ${botMember.status}\n` +
+      `Can post messages: ${botMember.can_post_messages === false ? '❌' : '✅'}\n` +
+      `Can delete messages: ${botMember.can_delete_messages ? '✅' : '❌'}`
+    );
   } catch (error) {
-    console.error('Admin callback error:', error);
-    bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Error occurred' });
+    console.error('Test channel error:', error);
+    bot.sendMessage(chatId, `❌ Channel test failed: ${error.message}`);
   }
 });
 
-// Enhanced bulk upload status tracking
-bot.onText(/\/bulk_status/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
-  
-  const session = global.bulkUploadSessions?.[userId];
-  
-  if (!session) {
-    return bot.sendMessage(chatId, '❌ No active bulk upload session.');
-  }
-  
-  const elapsed = Math.floor((Date.now() - session.startTime) / 1000);
-  const remaining = Math.max(0, 300 - elapsed); // 5 minutes = 300 seconds
-  
-  const message = 
-    `📊 Bulk Upload Status:\n\n` +
-    `📁 Files received: ${session.files.length}\n` +
-    `⏰ Time elapsed: ${elapsed}s\n` +
-    `⏳ Time remaining: ${remaining}s\n\n` +
-    `📋 Recent files:\n` +
-    session.files.slice(-5).map(f => `• ${f.fileName}`).join('\n');
-  
-  await bot.sendMessage(chatId, message);
+// Callback queries for admin actions
+commandRouter.registerCallback('users_page_', { permission: 'users' }, async (callbackQuery, page) => {
+  await sendUsersPage(callbackQuery.message.chat.id, parseInt(page));
+  bot.answerCallbackQuery(callbackQuery.id);
 });
 
-// Cancel bulk upload
-bot.onText(/\/bulk_cancel/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
-  
-  if (global.bulkUploadSessions?.[userId]) {
-    delete global.bulkUploadSessions[userId];
-    bot.sendMessage(chatId, '❌ Bulk upload session cancelled.');
+async function setBlockedFromButton(callbackQuery, targetUserId, isBlocked) {
+  const user = await User.findOneAndUpdate({ userId: parseInt(targetUserId) }, { isBlocked });
+  if (user) {
+    callbackQuery.audit.before = { userId: user.userId, isBlocked: !!user.isBlocked };
+    callbackQuery.audit.after = { userId: user.userId, isBlocked };
+    if (isBlocked) {
+      await recordReferralEvent('blocked', user, { source: 'admin', by: callbackQuery.from.id });
+    }
+    bot.answerCallbackQuery(callbackQuery.id, { text: isBlocked ? '✅ User blocked' : '✅ User unblocked' });
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: callbackQuery.message.chat.id,
+      message_id: callbackQuery.message.message_id
+    }).catch(() => {});
   } else {
-    bot.sendMessage(chatId, '❌ No active bulk upload session to cancel.');
+    callbackQuery.audit.error = 'User not found';
+    bot.answerCallbackQuery(callbackQuery.id, { text: 'User not found!', show_alert: true });
   }
+}
+
+commandRouter.registerCallback('admin_block_', { permission: 'users', audit: true }, (callbackQuery, targetUserId) =>
+  setBlockedFromButton(callbackQuery, targetUserId, true)
+);
+
+commandRouter.registerCallback('admin_unblock_', { permission: 'users', audit: true }, (callbackQuery, targetUserId) =>
+  setBlockedFromButton(callbackQuery, targetUserId, false)
+);
+
+commandRouter.registerCallback('admin_reset_', { permission: 'users' }, async (callbackQuery, targetUserId) => {
+  await bot.answerCallbackQuery(callbackQuery.id);
+  await confirmUserReset({ from: callbackQuery.from, chat: callbackQuery.message.chat }, parseInt(targetUserId));
 });
 
 console.log('Enhanced admin features loaded successfully!');
@@ -0,0 +1,161 @@
+// Growth analytics for StitchVault Bot
+// /analytics [7d|30d|90d] reports starts, joins and leaves per day from the referral event log,
+// with start-to-join conversion, a CSV of the daily numbers and a PNG chart.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { ReferralEvent, countReferralEventsByDay } = require('./referral_events');
+const { renderUpDownChart } = require('./png_chart');
+
+const RANGES = { '7d': 7, '30d': 30, '90d': 90 };
+const START_TYPES = ['bot_started', 'bot_started_via_referral'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC `days - 1` days ago, so the range covers today plus the days before it
+function rangeStart(days) {
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - (days - 1) * DAY_MS);
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Daily rows for the range: { day, starts, referralStarts, joins, referralJoins, directJoins, leaves, net }
+async function buildDailyGrowth(days) {
+  const since = rangeStart(days);
+  const rows = new Map();
+  
+  for (let i = 0; i < days; i++) {
+    const day = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    rows.set(day, { day, starts: 0, referralStarts: 0, joins: 0, referralJoins: 0, directJoins: 0, leaves: 0, net: 0 });
+  }
+  
+  const add = (counts, field) => {
+    for (const { day, count } of counts) {
+      if (rows.has(day)) rows.get(day)[field] += count;
+    }
+  };
+  
+  add(await countReferralEventsByDay({ type: START_TYPES, since }), 'starts');
+  add(await countReferralEventsByDay({ type: 'bot_started_via_referral', since }), 'referralStarts');
+  add(await countReferralEventsByDay({ type: 'channel_joined', since }), 'joins');
+  add(await countReferralEventsByDay({ type: 'channel_joined', since, referred: true }), 'referralJoins');
+  add(await countReferralEventsByDay({ type: 'left_channel', since }), 'leaves');
+  
+  for (const row of rows.values()) {
+    row.directJoins = row.joins - row.referralJoins;
+    row.net = row.joins - row.leaves;
+  }
+  
+  return [...rows.values()];
+}
+
+// Of the users who started the bot in the range, how many joined the channel afterwards and how fast
+async function buildConversion(days) {
+  const starts = await ReferralEvent.find({ type: { $in: START_TYPES }, at: { $gte: rangeStart(days) } })
+    .sort({ at: 1 })
+    .select('userId at');
+  if (starts.length === 0) {
+    return { started: 0, joined: 0, averageMs: null };
+  }
+  
+  // First start per user, so a later /start can't hide a join that came before it
+  const startedAt = new Map();
+  for (const start of starts) {
+    if (!startedAt.has(start.userId)) {
+      startedAt.set(start.userId, start.at);
+    }
+  }
+  const joins = await ReferralEvent.find({ type: 'channel_joined', userId: { $in: [...startedAt.keys()] } })
+    .sort({ at: 1 })
+    .select('userId at');
+  
+  const firstJoin = new Map();
+  for (const join of joins) {
+    if (!firstJoin.has(join.userId) && join.at >= startedAt.get(join.userId)) {
+      firstJoin.set(join.userId, join.at);
+    }
+  }
+  
+  const waits = [...firstJoin].map(([userId, at]) => at - startedAt.get(userId));
+  
+  return {
+    started: startedAt.size,
+    joined: firstJoin.size,
+    averageMs: waits.length > 0 ? waits.reduce((sum, ms) => sum + ms, 0) / waits.length : null
+  };
+}
+
+function toCsv(rows) {
+  const columns = ['day', 'starts', 'referralStarts', 'joins', 'referralJoins', 'directJoins', 'leaves', 'net'];
+  return [columns.join(','), ...rows.map(row => columns.map(column => row[column]).join(','))].join('\n') + '\n';
+}
+
+function formatReport(range, rows, conversion, memberCount) {
+  const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const net = total('net');
+  const rate = conversion.started > 0 ? Math.round((conversion.joined / conversion.started) * 100) : 0;
+  
+  let message =
+    `📈 Growth Analytics - last ${range}\n\n` +
+    `🤖 Bot starts: ${total('starts')} (referral ${total('referralStarts')}, direct ${total('starts') - total('referralStarts')})\n` +
+    `📥 Channel joins: ${total('joins')} (referral ${total('referralJoins')}, direct ${total('directJoins')})\n` +
+    `📤 Leaves: ${total('leaves')}\n` +
+    `📊 Net growth: ${net >= 0 ? '+' : ''}${net}\n` +
+    `👥 Community now: ${memberCount}\n\n` +
+    `🔁 Start → join: ${rate}% (${conversion.joined}/${conversion.started})\n` +
+    `⏱ Avg time start → join: ${conversion.averageMs === null ? 'n/a' : formatDuration(conversion.averageMs)}\n\n` +
+    `📅 Daily (joins / leaves / starts):\n`;
+  
+  // Keep the message under Telegram's limit on long ranges; the CSV has every day
+  const shown = rows.slice(-31);
+  if (rows.length > shown.length) {
+    message += `...earlier days in the CSV\n`;
+  }
+  shown.forEach(row => {
+    message += `${row.day.slice(5)}: +${row.joins} / -${row.leaves} / ${row.starts}\n`;
+  });
+  
+  return message;
+}
+
+commandRouter.register('analytics', {
+  permission: 'analytics',
+  args: /^(7d|30d|90d)?$/i,
+  usage: '/analytics [7d|30d|90d]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const range = (match[1] || '7d').toLowerCase();
+  const days = RANGES[range];
+  
+  try {
+    const rows = await buildDailyGrowth(days);
+    const conversion = await buildConversion(days);
+    const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
+    
+    await bot.sendMessage(chatId, formatReport(range, rows, conversion, stats.communityMemberCount || 0));
+    
+    const chart = renderUpDownChart({
+      up: rows.map(row => row.joins),
+      down: rows.map(row => row.leaves),
+      marker: rows.map(row => row.net)
+    });
+    await bot.sendPhoto(chatId, chart, {
+      caption: `📊 ${range}: green = joins, red = leaves, blue = net growth (one bar per day, oldest first)`
+    }, { filename: `growth_${range}.png`, contentType: 'image/png' });
+    
+    await bot.sendDocument(chatId, Buffer.from(toCsv(rows)), {
+      caption: `📁 Daily growth, last ${range} (UTC days)`
+    }, { filename: `growth_${range}_${rows[rows.length - 1].day}.csv`, contentType: 'text/csv' });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    bot.sendMessage(chatId, `Error building analytics: ${error.message}`);
+  }
+});
+
+module.exports = { buildDailyGrowth, buildConversion };
@@ -0,0 +1,91 @@
+// Admin audit log for StitchVault Bot
+// Commands and buttons registered with `audit: true` write one entry per run: who ran it,
+// the arguments, and before/after snapshots of what changed. Failed runs are logged too.
+// /audit [n] shows the latest entries.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { getRole, formatRole } = require('./roles');
+
+// Longest snapshot shown per entry in /audit; the full snapshot stays in the DB
+const SNAPSHOT_PREVIEW_LENGTH = 300;
+
+// Audit Entry Schema - never updated
+const auditEntrySchema = new mongoose.Schema({
+  actorId: { type: Number, required: true },
+  actorRole: String,
+  action: { type: String, required: true }, // "/reset_sequence" or "button admin_block_"
+  args: String,
+  status: { type: String, enum: ['ok', 'failed', 'no_change'], required: true },
+  error: String,
+  before: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  after: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  at: { type: Date, default: Date.now }
+});
+
+auditEntrySchema.index({ at: -1 });
+auditEntrySchema.index({ actorId: 1, at: -1 });
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+// Never throws - a failed log write must not hide the command's own result
+async function recordAuditEntry({ userId, action, args, before, after, error }) {
+  try {
+    await AuditEntry.create({
+      actorId: userId,
+      actorRole: getRole(userId),
+      action,
+      args,
+      status: error ? 'failed' : after === null ? 'no_change' : 'ok',
+      error: error || undefined,
+      before: before === null ? undefined : before,
+      after: after === null ? undefined : after
+    });
+  } catch (logError) {
+    console.error(`Audit log ${action} error:`, logError.message);
+  }
+}
+
+function previewSnapshot(snapshot) {
+  const text = JSON.stringify(snapshot);
+  return text.length > SNAPSHOT_PREVIEW_LENGTH ? `${text.slice(0, SNAPSHOT_PREVIEW_LENGTH)}…` : text;
+}
+
+const STATUS_ICONS = { ok: '✅', failed: '❌', no_change: '➖' };
+
+commandRouter.register('audit', {
+  permission: 'audit',
+  args: /^(\d+)?$/,
+  usage: '/audit [n]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const limit = Math.min(Math.max(parseInt(match[1]) || 10, 1), 30);
+  
+  try {
+    const entries = await AuditEntry.find().sort({ at: -1 }).limit(limit);
+    if (entries.length === 0) {
+      return bot.sendMessage(chatId, '📋 The audit log is empty.');
+    }
+    
+    let message = `📋 Audit Log (last ${entries.length})\n\n`;
+    entries.forEach(entry => {
+      message +=
+        `${STATUS_ICONS[entry.status]} ${entry.at.toLocaleString()} - ${entry.action}${entry.args ? ` ${entry.args}` : ''}\n` +
+        `By ${entry.actorId} (${formatRole(entry.actorRole)})\n` +
+        `${entry.error ? `Error: ${entry.error}\n` : ''}` +
+        `${entry.before !== undefined ? `Before: ${previewSnapshot(entry.before)}\n` : ''}` +
+        `${entry.after !== undefined ? `After: ${previewSnapshot(entry.after)}\n` : ''}\n`;
+    });
+    
+    // Snapshots can be long; split on entry boundaries to stay under Telegram's limit
+    const chunks = message.match(/[\s\S]{1,4000}(?=\n\n|$)/g) || [message];
+    for (const chunk of chunks) {
+      await bot.sendMessage(chatId, chunk.trim());
+    }
+  } catch (error) {
+    console.error('Audit log error:', error);
+    bot.sendMessage(chatId, 'Error fetching the audit log.');
+  }
+});
+
+module.exports = { AuditEntry, recordAuditEntry };
@@ -0,0 +1,874 @@
+// Broadcast composer for StitchVault Bot
+// /broadcast opens a draft. The admin sends the message (formatted text, a photo or a document
+// with a caption), adds URL buttons, picks an audience segment and previews it, then sends it
+// now or schedules it. A cron job in index.js calls runDueBroadcasts every minute.
+// Sending goes through a job queue stored in BroadcastDelivery (see queueDeliveries): it is
+// rate limited, retries transient errors, survives restarts and ends with a delivery report.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { BOT_TIMEZONE, parseLocalDateTime, formatLocal } = require('./scheduled_posts');
+const { recordAuditEntry } = require('./audit_log');
+const { BulkSession } = require('./bulk_upload');
+
+// Telegram allows about 30 messages a second to different users
+const BROADCAST_RATE_PER_SECOND = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 25;
+// Progress is saved, and cancellation noticed, after every batch
+const BROADCAST_BATCH_SIZE = 25;
+// Network errors and Telegram 5xx are retried; blocked bots and deleted accounts are not
+const BROADCAST_MAX_ATTEMPTS = 3;
+const BROADCAST_RETRY_SECONDS = 30;
+// A delivery claimed this long ago by a worker that never finished it was interrupted mid-send
+const DELIVERY_CLAIM_STALE_MS = 2 * 60 * 1000;
+const QUEUE_CHUNK = 1000;
+// Delivery records, and so the failure reports, are kept this long
+const DELIVERY_KEEP_DAYS = 30;
+const MAX_BUTTONS = 8;
+const COMPOSER_TIMEOUT_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Broadcast Schema - drafts, scheduled, running and finished broadcasts
+const broadcastSchema = new mongoose.Schema({
+  broadcastId: { type: Number, required: true, unique: true },
+  createdBy: { type: Number, required: true },
+  chatId: Number, // Where the progress reports go
+  content: {
+    kind: { type: String, enum: ['text', 'photo', 'document'] },
+    text: String, // The caption for photos and documents
+    entities: mongoose.Schema.Types.Mixed, // Telegram formatting of text
+    fileId: String,
+    fileName: String
+  },
+  buttons: [{ text: String, url: String }],
+  segment: { type: String, default: 'all' },
+  segmentValue: { type: Number, default: null }, // Days for "inactive", how many for "top_referrers"
+  status: { type: String, enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'], default: 'draft' },
+  runAt: { type: Date, default: null },
+  recipients: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  queuedAt: { type: Date, default: null }, // Set once every recipient has a BroadcastDelivery
+  cancelledBy: { type: Number, default: null },
+  result: String
+});
+
+broadcastSchema.index({ status: 1, runAt: 1 });
+broadcastSchema.index({ createdBy: 1, status: 1 });
+
+const Broadcast = mongoose.model('Broadcast', broadcastSchema);
+
+// Broadcast Delivery Schema - one per recipient, the job queue of a running broadcast
+const broadcastDeliverySchema = new mongoose.Schema({
+  broadcastId: { type: Number, required: true },
+  userId: { type: Number, required: true },
+  // "sending" is claimed by a worker, so no other worker or bot instance sends it too
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed', 'skipped'], default: 'pending' },
+  claimedAt: { type: Date, default: null },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  error: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+broadcastDeliverySchema.index({ broadcastId: 1, userId: 1 }, { unique: true });
+broadcastDeliverySchema.index({ broadcastId: 1, status: 1, nextAttemptAt: 1 });
+broadcastDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_KEEP_DAYS * 24 * 60 * 60 });
+
+const BroadcastDelivery = mongoose.model('BroadcastDelivery', broadcastDeliverySchema);
+
+async function userIdsOf(query) {
+  const users = await query.select('userId').lean();
+  return users.map(user => user.userId);
+}
+
+// Who receives a broadcast: userIds(value) lists them. Blocked users never do.
+// ask/min/max describe the number typed for segments that need one.
+const SEGMENTS = {
+  all: {
+    label: 'Everyone',
+    userIds: () => userIdsOf(User.find({ isBlocked: false }))
+  },
+  members: {
+    label: 'Channel members',
+    userIds: () => userIdsOf(User.find({ isBlocked: false, joinedChannel: true }))
+  },
+  non_members: {
+    label: 'Not in the channel',
+    userIds: () => userIdsOf(User.find({ isBlocked: false, joinedChannel: false }))
+  },
+  pending_referrals: {
+    label: 'With pending referrals',
+    // Referrers with at least one invited user who has not counted yet
+    userIds: async () => {
+      const referrerIds = await User.distinct('referredBy', {
+        referredBy: { $ne: null },
+        referralCounted: false,
+        referralRevoked: { $ne: true }
+      });
+      return userIdsOf(User.find({ isBlocked: false, userId: { $in: referrerIds } }));
+    }
+  },
+  inactive: {
+    label: 'Inactive',
+    ask: 'Inactive for how many days?',
+    min: 1,
+    max: 365,
+    describe: days => `Inactive for ${days}+ days`,
+    userIds: days => userIdsOf(User.find({ isBlocked: false, lastActivity: { $lt: new Date(Date.now() - days * DAY_MS) } }))
+  },
+  top_referrers: {
+    label: 'Top referrers',
+    ask: 'How many top referrers?',
+    min: 1,
+    max: 1000,
+    describe: count => `Top ${count} referrers`,
+    userIds: count => userIdsOf(User.find({ isBlocked: false, inviteCount: { $gt: 0 } }).sort({ inviteCount: -1 }).limit(count))
+  }
+};
+
+// Admins the composer is waiting on: adminId -> { chatId, broadcastId, step, segment, expiresAt }
+const composerSteps = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function nextBroadcastId() {
+  const last = await Broadcast.findOne().sort({ broadcastId: -1 });
+  return (last?.broadcastId || 0) + 1;
+}
+
+function describeSegment(broadcast) {
+  const segment = SEGMENTS[broadcast.segment];
+  return segment.describe ? segment.describe(broadcast.segmentValue) : segment.label;
+}
+
+async function findRecipients(broadcast) {
+  return SEGMENTS[broadcast.segment].userIds(broadcast.segmentValue);
+}
+
+// The text of a message, a photo or a document, with its formatting. null for anything else.
+function contentFromMessage(msg) {
+  if (msg.photo) {
+    return {
+      kind: 'photo',
+      fileId: msg.photo[msg.photo.length - 1].file_id,
+      text: msg.caption || '',
+      entities: msg.caption_entities || []
+    };
+  }
+  if (msg.document) {
+    return {
+      kind: 'document',
+      fileId: msg.document.file_id,
+      fileName: msg.document.file_name,
+      text: msg.caption || '',
+      entities: msg.caption_entities || []
+    };
+  }
+  if (msg.text) {
+    return { kind: 'text', text: msg.text, entities: msg.entities || [] };
+  }
+  return null;
+}
+
+// "Shop | https://example.com", one button per line
+function parseButtons(text) {
+  const buttons = [];
+  for (const line of text.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const match = line.match(/^(.+?)\s*\|\s*(https?:\/\/\S+)$/);
+    if (!match) return null;
+    buttons.push({ text: match[1], url: match[2] });
+  }
+  return buttons;
+}
+
+async function sendBroadcastMessage(chatId, broadcast) {
+  const { content, buttons } = broadcast;
+  const options = {};
+  if (buttons.length > 0) {
+    options.reply_markup = { inline_keyboard: buttons.map(button => [{ text: button.text, url: button.url }]) };
+  }
+  
+  if (content.kind === 'photo' || content.kind === 'document') {
+    if (content.text) options.caption = content.text;
+    if (content.entities?.length) options.caption_entities = content.entities;
+    return content.kind === 'photo'
+      ? bot.sendPhoto(chatId, content.fileId, options)
+      : bot.sendDocument(chatId, content.fileId, options);
+  }
+  
+  if (content.entities?.length) options.entities = content.entities;
+  return bot.sendMessage(chatId, content.text, options);
+}
+
+function describeContent(content) {
+  if (!content?.kind) return '(not set yet)';
+  
+  const preview = content.text.length > 100 ? `${content.text.slice(0, 100)}…` : content.text;
+  if (content.kind === 'text') return `📝 ${preview}`;
+  const label = content.kind === 'photo' ? '🖼 Photo' : `📎 ${content.fileName || 'Document'}`;
+  return `${label}${preview ? ` - ${preview}` : ''}`;
+}
+
+async function describeBroadcast(broadcast) {
+  // Counted live until the broadcast starts
+  const recipients = ['draft', 'scheduled'].includes(broadcast.status)
+    ? (await findRecipients(broadcast)).length
+    : broadcast.recipients;
+  
+  return (
+    `📢 Broadcast #${broadcast.broadcastId} (${broadcast.status})\n\n` +
+    `Message: ${describeContent(broadcast.content)}\n` +
+    `Buttons: ${broadcast.buttons.length > 0 ? broadcast.buttons.map(button => button.text).join(', ') : 'none'}\n` +
+    `Audience: ${describeSegment(broadcast)} (${recipients} users)\n` +
+    `${broadcast.runAt ? `When: ${formatLocal(broadcast.runAt)} (${BOT_TIMEZONE})\n` : ''}` +
+    `${broadcast.status === 'draft' ? '' : `Sent: ${broadcast.sent} | Failed: ${broadcast.failed}\n`}`
+  );
+}
+
+function composerKeyboard(broadcast) {
+  const id = broadcast.broadcastId;
+  const ready = !!broadcast.content?.kind;
+  const rows = [
+    [
+      { text: '✏️ Message', callback_data: `bc_edit_${id}` },
+      { text: '🔗 Buttons', callback_data: `bc_buttons_${id}` }
+    ],
+    [{ text: `🎯 Audience: ${describeSegment(broadcast)}`, callback_data: `bc_audience_${id}` }]
+  ];
+  if (ready) {
+    rows.push([{ text: '👁 Preview', callback_data: `bc_preview_${id}` }]);
+    rows.push([
+      { text: '🚀 Send now', callback_data: `bc_go_${id}` },
+      { text: '📅 Schedule', callback_data: `bc_schedule_${id}` }
+    ]);
+  }
+  rows.push([{ text: '🗑 Discard', callback_data: `bc_discard_${id}` }]);
+  return { inline_keyboard: rows };
+}
+
+function audienceKeyboard(broadcast) {
+  const id = broadcast.broadcastId;
+  const rows = Object.entries(SEGMENTS).map(([key, segment]) => [{
+    text: `${broadcast.segment === key ? '• ' : ''}${segment.label}${segment.ask ? '…' : ''}`,
+    callback_data: `bc_seg_${id}_${key}`
+  }]);
+  rows.push([{ text: '⬅️ Back', callback_data: `bc_back_${id}` }]);
+  return { inline_keyboard: rows };
+}
+
+async function showComposer(chatId, broadcast, messageId) {
+  const text = await describeBroadcast(broadcast);
+  const options = { reply_markup: composerKeyboard(broadcast) };
+  if (messageId) {
+    return bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...options })
+      .catch(() => {}); // "message is not modified" when nothing changed
+  }
+  return bot.sendMessage(chatId, text, options);
+}
+
+// Only the chat the composer was opened in answers it
+function waitFor(adminId, chatId, broadcastId, step, segment = null) {
+  composerSteps.set(adminId, { chatId, broadcastId, step, segment, expiresAt: Date.now() + COMPOSER_TIMEOUT_MS });
+}
+
+// The delivery queue. Starting a broadcast snapshots its audience into one BroadcastDelivery
+// per user; a single worker then sends them in batches under the rate limiter. Deliveries
+// live in MongoDB, so a restart picks up where it stopped - only a message that was in
+// flight at the crash can arrive twice.
+
+// Snapshot the audience. Safe to repeat: users already queued are skipped.
+async function queueDeliveries(broadcast) {
+  const userIds = await findRecipients(broadcast);
+  for (let i = 0; i < userIds.length; i += QUEUE_CHUNK) {
+    const deliveries = userIds.slice(i, i + QUEUE_CHUNK).map(userId => ({ broadcastId: broadcast.broadcastId, userId }));
+    await BroadcastDelivery.insertMany(deliveries, { ordered: false }).catch(error => {
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+    });
+  }
+  
+  const recipients = await BroadcastDelivery.countDocuments({ broadcastId: broadcast.broadcastId });
+  await Broadcast.updateOne({ _id: broadcast._id }, { recipients, queuedAt: new Date() });
+  return recipients;
+}
+
+async function countDeliveries(broadcastId) {
+  const counts = { pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0 };
+  const groups = await BroadcastDelivery.aggregate([
+    { $match: { broadcastId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  groups.forEach(group => { counts[group._id] = group.count; });
+  return counts;
+}
+
+// One limiter for every broadcast, so nothing the bot sends in bulk exceeds Telegram's rate
+let nextSendAt = 0;
+
+async function waitForSendSlot() {
+  const now = Date.now();
+  const wait = Math.max(0, nextSendAt - now);
+  nextSendAt = Math.max(now, nextSendAt) + 1000 / BROADCAST_RATE_PER_SECOND;
+  if (wait > 0) await sleep(wait);
+}
+
+// Telegram's 429 says how long to back off; every send waits for it, not just this one
+function pauseSending(seconds) {
+  nextSendAt = Math.max(nextSendAt, Date.now() + seconds * 1000);
+}
+
+// { retryAfter } for flood limits, { transient, reason } for errors worth retrying,
+// { reason } for the rest (bot blocked, chat not found, ...)
+function classifySendError(error) {
+  const body = error.response?.body;
+  if (body?.error_code === 429) {
+    return { retryAfter: body.parameters?.retry_after || 5 };
+  }
+  const reason = body?.description || error.message;
+  if (error.code === 'EFATAL' || body?.error_code >= 500) {
+    return { transient: true, reason };
+  }
+  return { reason };
+}
+
+async function sendDelivery(delivery, broadcast) {
+  await waitForSendSlot();
+  
+  // Claim it first: it may have been cancelled (skipped) or taken by another worker since the batch was read
+  const claimed = await BroadcastDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: 'pending' },
+    { status: 'sending', claimedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return;
+  
+  const claim = { _id: claimed._id, status: 'sending' };
+  try {
+    await sendBroadcastMessage(claimed.userId, broadcast);
+    await BroadcastDelivery.updateOne(claim,
+      { status: 'sent', sentAt: new Date(), error: null, claimedAt: null, $inc: { attempts: 1 } }
+    );
+  } catch (error) {
+    const outcome = classifySendError(error);
+    if (outcome.retryAfter) {
+      // Back to pending and picked up again once the pause is over
+      console.warn(`Broadcast ${broadcast.broadcastId} rate limited, pausing ${outcome.retryAfter}s`);
+      pauseSending(outcome.retryAfter);
+      await BroadcastDelivery.updateOne(claim, { status: 'pending', claimedAt: null });
+      return;
+    }
+    
+    const attempts = claimed.attempts + 1;
+    const retry = outcome.transient && attempts < BROADCAST_MAX_ATTEMPTS;
+    await BroadcastDelivery.updateOne(claim, retry
+      ? { attempts, error: outcome.reason, status: 'pending', claimedAt: null, nextAttemptAt: new Date(Date.now() + BROADCAST_RETRY_SECONDS * attempts * 1000) }
+      : { attempts, error: outcome.reason, status: 'failed', claimedAt: null }
+    );
+  }
+}
+
+// Claims left by a crashed worker are not retried: the message may already have arrived
+async function failStaleClaims(broadcastId) {
+  await BroadcastDelivery.updateMany(
+    { broadcastId, status: 'sending', claimedAt: { $lt: new Date(Date.now() - DELIVERY_CLAIM_STALE_MS) } },
+    { status: 'failed', error: 'Interrupted while sending - may or may not have arrived', claimedAt: null }
+  );
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : `${value}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Summary message, plus a CSV of every user the broadcast failed for and why
+async function sendDeliveryReport(chatId, broadcast) {
+  const counts = await countDeliveries(broadcast.broadcastId);
+  const waiting = counts.pending + counts.sending;
+  const total = waiting + counts.sent + counts.failed + counts.skipped;
+  
+  await bot.sendMessage(chatId,
+    `📊 Broadcast #${broadcast.broadcastId} ${broadcast.status === 'sending' ? 'in progress' : broadcast.status}\n` +
+    `🎯 ${describeSegment(broadcast)}: ${total} users\n` +
+    `✅ Sent: ${counts.sent}\n` +
+    `❌ Failed: ${counts.failed}\n` +
+    `${waiting > 0 ? `⏳ Waiting: ${waiting}\n` : ''}` +
+    `${counts.skipped > 0 ? `⛔ Not sent (cancelled): ${counts.skipped}\n` : ''}`
+  );
+  if (counts.failed === 0) return;
+  
+  const failures = await BroadcastDelivery.find({ broadcastId: broadcast.broadcastId, status: 'failed' }).sort({ userId: 1 }).lean();
+  const users = await User.find({ userId: { $in: failures.map(delivery => delivery.userId) } }).select('userId username firstName').lean();
+  const usersById = new Map(users.map(user => [user.userId, user]));
+  
+  const rows = failures.map(delivery => {
+    const user = usersById.get(delivery.userId) || {};
+    return [delivery.userId, user.username, user.firstName, delivery.attempts, delivery.error].map(csvField).join(',');
+  });
+  const csv = ['user_id,username,first_name,attempts,error', ...rows].join('\n') + '\n';
+  
+  await bot.sendDocument(chatId, Buffer.from(csv), {
+    caption: `📁 ${counts.failed} failed deliveries of broadcast #${broadcast.broadcastId}`
+  }, { filename: `broadcast_${broadcast.broadcastId}_failed.csv`, contentType: 'text/csv' });
+}
+
+// Returns once the job is finished or no longer "sending" (cancelled)
+async function runBroadcastJob(job) {
+  while (true) {
+    const broadcast = await Broadcast.findById(job._id);
+    if (!broadcast || broadcast.status !== 'sending') return;
+    
+    const batch = await BroadcastDelivery.find({
+      broadcastId: broadcast.broadcastId,
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    }).sort({ nextAttemptAt: 1, _id: 1 }).limit(BROADCAST_BATCH_SIZE);
+    
+    if (batch.length === 0) {
+      const retry = await BroadcastDelivery.findOne({ broadcastId: broadcast.broadcastId, status: 'pending' }).sort({ nextAttemptAt: 1 });
+      if (retry) {
+        // Only retries are left; check back when the first is due (or sooner, in case of a cancel)
+        await sleep(Math.min(Math.max(retry.nextAttemptAt.getTime() - Date.now(), 0), 5000));
+        continue;
+      }
+      
+      // Another instance may still be sending its last few; wait for those before reporting
+      await failStaleClaims(broadcast.broadcastId);
+      if (await BroadcastDelivery.exists({ broadcastId: broadcast.broadcastId, status: 'sending' })) {
+        await sleep(5000);
+        continue;
+      }
+      
+      const counts = await countDeliveries(broadcast.broadcastId);
+      const finished = await Broadcast.findOneAndUpdate(
+        { _id: broadcast._id, status: 'sending' },
+        { status: 'sent', sent: counts.sent, failed: counts.failed, finishedAt: new Date() },
+        { new: true }
+      );
+      if (finished) {
+        await sendDeliveryReport(finished.chatId, finished).catch(error => {
+          console.error(`Broadcast ${finished.broadcastId} report error:`, error);
+        });
+      }
+      return;
+    }
+    
+    for (const delivery of batch) {
+      await sendDelivery(delivery, broadcast);
+    }
+    
+    const counts = await countDeliveries(broadcast.broadcastId);
+    await Broadcast.updateOne({ _id: broadcast._id }, { sent: counts.sent, failed: counts.failed });
+  }
+}
+
+let workerRunning = false;
+
+// Works through queued broadcasts oldest first. Safe to call any time; only one worker runs.
+async function processBroadcastQueue() {
+  if (workerRunning) return;
+  workerRunning = true;
+  
+  try {
+    while (true) {
+      const job = await Broadcast.findOne({ status: 'sending', queuedAt: { $ne: null } }).sort({ startedAt: 1 });
+      if (!job) return;
+      
+      try {
+        await runBroadcastJob(job);
+      } catch (error) {
+        console.error(`Broadcast ${job.broadcastId} error:`, error);
+        await Broadcast.updateOne({ _id: job._id, status: 'sending' }, { status: 'failed', result: error.message, finishedAt: new Date() });
+        await notifyAdmins(`❌ Broadcast #${job.broadcastId} failed: ${error.message}\nDelivery report: /broadcast_report ${job.broadcastId}`);
+      }
+    }
+  } catch (error) {
+    console.error('Broadcast queue error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+// Claim the broadcast matching filter, queue its audience and wake the worker. null when none matched.
+async function startBroadcast(filter) {
+  const broadcast = await Broadcast.findOneAndUpdate(
+    filter,
+    { status: 'sending', startedAt: new Date() },
+    { new: true, sort: { runAt: 1 } }
+  );
+  if (!broadcast) return null;
+  
+  await queueDeliveries(broadcast);
+  processBroadcastQueue();
+  return Broadcast.findById(broadcast._id);
+}
+
+// Start every scheduled broadcast whose time has come. Each one is claimed first,
+// so overlapping runs never start the same broadcast twice.
+async function runDueBroadcasts() {
+  while (true) {
+    const broadcast = await startBroadcast({ status: 'scheduled', runAt: { $lte: new Date() } });
+    if (!broadcast) break;
+    
+    bot.sendMessage(broadcast.chatId,
+      `📤 Scheduled broadcast #${broadcast.broadcastId} started for ${broadcast.recipients} users.\n` +
+      `The delivery report follows when it finishes.`,
+      { reply_markup: { inline_keyboard: [[{ text: '⛔ Cancel', callback_data: `bc_stop_${broadcast.broadcastId}` }]] } }
+    ).catch(() => {});
+  }
+  
+  // Also restarts the worker if it stopped on an error
+  processBroadcastQueue();
+}
+
+// On startup: finish queueing broadcasts that crashed while being queued, then resume sending
+async function resumeBroadcasts() {
+  try {
+    const unqueued = await Broadcast.find({ status: 'sending', queuedAt: null });
+    for (const broadcast of unqueued) {
+      await queueDeliveries(broadcast);
+    }
+    
+    const resumed = await Broadcast.countDocuments({ status: 'sending' });
+    if (resumed > 0) {
+      console.log(`Resuming ${resumed} interrupted broadcasts`);
+    }
+    processBroadcastQueue();
+  } catch (error) {
+    console.error('Broadcast resume error:', error);
+  }
+}
+
+// Returns the broadcast as it was before, or null when it was not scheduled or sending.
+// Users not reached yet are marked skipped, so the worker's claims on the rest of its batch fail.
+async function cancelBroadcast(broadcastId, adminId) {
+  const previous = await Broadcast.findOneAndUpdate(
+    { broadcastId, status: { $in: ['scheduled', 'sending'] } },
+    { status: 'cancelled', cancelledBy: adminId, finishedAt: new Date() }
+  );
+  if (previous?.status === 'sending') {
+    await BroadcastDelivery.updateMany({ broadcastId, status: 'pending' }, { status: 'skipped' });
+  }
+  return previous;
+}
+
+// /broadcast opens your draft (or a new one); /broadcast <text> sets its message too
+commandRouter.register('broadcast', { permission: 'broadcast' }, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  const text = match[0];
+  
+  try {
+    let broadcast = await Broadcast.findOne({ createdBy: adminId, status: 'draft' }).sort({ createdAt: -1 });
+    if (!broadcast) {
+      broadcast = await Broadcast.create({ broadcastId: await nextBroadcastId(), createdBy: adminId, chatId });
+    }
+    
+    if (text) {
+      // Keep any formatting typed after the command
+      const start = msg.text.trimEnd().length - text.length;
+      const entities = (msg.entities || [])
+        .filter(entity => entity.offset >= start)
+        .map(entity => ({ ...entity, offset: entity.offset - start }));
+      broadcast.content = { kind: 'text', text, entities };
+      broadcast.chatId = chatId;
+      await broadcast.save();
+    } else if (!broadcast.content?.kind) {
+      waitFor(adminId, chatId, broadcast.broadcastId, 'content');
+      return bot.sendMessage(chatId,
+        `📢 New broadcast #${broadcast.broadcastId}\n\n` +
+        `Send the message: text (formatting is kept), or a photo or document with a caption.\n` +
+        `Send "cancel" to stop.`
+      );
+    }
+    
+    await showComposer(chatId, broadcast);
+  } catch (error) {
+    console.error('Broadcast composer error:', error);
+    bot.sendMessage(chatId, '❌ Error opening the broadcast composer.');
+  }
+});
+
+// Composer buttons: bc_<action>_<id>[_<segment>]
+commandRouter.registerCallback('bc_', { permission: 'broadcast' }, async (callbackQuery, rest) => {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const adminId = callbackQuery.from.id;
+  
+  const [, action, id, segmentKey] = rest.match(/^(edit|buttons|audience|seg|back|preview|schedule|discard)_(\d+)(?:_(\w+))?$/) || [];
+  const broadcast = action && await Broadcast.findOne({ broadcastId: parseInt(id), status: 'draft' });
+  if (!broadcast) {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'This draft was already sent or discarded.', show_alert: true });
+  }
+  
+  switch (action) {
+    case 'edit':
+      waitFor(adminId, chatId, broadcast.broadcastId, 'content');
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return bot.sendMessage(chatId, '✏️ Send the new message: text, or a photo or document with a caption. Or "cancel".');
+    
+    case 'buttons':
+      waitFor(adminId, chatId, broadcast.broadcastId, 'buttons');
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return bot.sendMessage(chatId,
+        `🔗 Send up to ${MAX_BUTTONS} URL buttons, one per line:\n` +
+        `Shop | https://example.com\n\n` +
+        `Send "none" to remove them, or "cancel".`
+      );
+    
+    case 'audience':
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return bot.editMessageReplyMarkup(audienceKeyboard(broadcast), { chat_id: chatId, message_id: messageId });
+    
+    case 'seg': {
+      const segment = SEGMENTS[segmentKey];
+      if (!segment) {
+        return bot.answerCallbackQuery(callbackQuery.id, { text: 'Unknown audience' });
+      }
+      if (segment.ask) {
+        waitFor(adminId, chatId, broadcast.broadcastId, 'segment', segmentKey);
+        await bot.answerCallbackQuery(callbackQuery.id);
+        return bot.sendMessage(chatId, `🎯 ${segment.ask} (${segment.min}-${segment.max})`);
+      }
+      broadcast.segment = segmentKey;
+      broadcast.segmentValue = null;
+      await broadcast.save();
+      await bot.answerCallbackQuery(callbackQuery.id, { text: `Audience: ${segment.label}` });
+      return showComposer(chatId, broadcast, messageId);
+    }
+    
+    case 'back':
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return showComposer(chatId, broadcast, messageId);
+    
+    case 'preview': {
+      await bot.answerCallbackQuery(callbackQuery.id);
+      await sendBroadcastMessage(chatId, broadcast);
+      const recipients = await findRecipients(broadcast);
+      return bot.sendMessage(chatId, `👆 Preview of broadcast #${broadcast.broadcastId} - ${describeSegment(broadcast)}: ${recipients.length} users`);
+    }
+    
+    case 'schedule':
+      waitFor(adminId, chatId, broadcast.broadcastId, 'schedule');
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return bot.sendMessage(chatId, `📅 Send the date and time: YYYY-MM-DD HH:MM (${BOT_TIMEZONE}). Or "cancel".`);
+    
+    case 'discard':
+      await Broadcast.deleteOne({ _id: broadcast._id, status: 'draft' });
+      await bot.answerCallbackQuery(callbackQuery.id, { text: 'Draft discarded' });
+      return bot.editMessageText(`🗑 Broadcast #${broadcast.broadcastId} discarded.`, { chat_id: chatId, message_id: messageId })
+        .catch(() => {});
+  }
+});
+
+commandRouter.registerCallback('bc_go_', { permission: 'broadcast', audit: true }, async (callbackQuery, id) => {
+  const chatId = callbackQuery.message.chat.id;
+  await Broadcast.updateOne({ broadcastId: parseInt(id), status: 'draft' }, { chatId });
+  const broadcast = await startBroadcast({ broadcastId: parseInt(id), status: 'draft' });
+  if (!broadcast) {
+    callbackQuery.audit.error = 'Not a draft';
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'This draft was already sent or discarded.', show_alert: true });
+  }
+  callbackQuery.audit.after = { broadcastId: broadcast.broadcastId, audience: describeSegment(broadcast), recipients: broadcast.recipients };
+  
+  await bot.answerCallbackQuery(callbackQuery.id, { text: '📤 Sending...' });
+  await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: callbackQuery.message.message_id })
+    .catch(() => {});
+  await bot.sendMessage(chatId,
+    `📤 Sending broadcast #${broadcast.broadcastId} to ${describeSegment(broadcast)} (${broadcast.recipients} users).\n` +
+    `The delivery report follows when it finishes. Progress: /broadcasts`,
+    { reply_markup: { inline_keyboard: [[{ text: '⛔ Cancel', callback_data: `bc_stop_${broadcast.broadcastId}` }]] } }
+  );
+});
+
+async function replyToCancel(chatId, broadcastId, adminId, audit) {
+  const previous = await cancelBroadcast(broadcastId, adminId);
+  if (!previous) {
+    audit.error = 'No scheduled or running broadcast with that id';
+    return bot.sendMessage(chatId, 'No scheduled or running broadcast with that id.');
+  }
+  // previous.sent is only refreshed once per batch
+  const counts = await countDeliveries(broadcastId);
+  audit.before = { broadcastId, status: previous.status, sent: counts.sent };
+  audit.after = { broadcastId, status: 'cancelled' };
+  
+  return bot.sendMessage(chatId, previous.status === 'sending'
+    ? `⛔ Broadcast #${broadcastId} stopped after ${counts.sent} sent. Delivery report: /broadcast_report ${broadcastId}`
+    : `❌ Scheduled broadcast #${broadcastId} cancelled.`
+  );
+}
+
+commandRouter.registerCallback('bc_stop_', { permission: 'broadcast', audit: true }, async (callbackQuery, id) => {
+  await bot.answerCallbackQuery(callbackQuery.id);
+  await replyToCancel(callbackQuery.message.chat.id, parseInt(id), callbackQuery.from.id, callbackQuery.audit);
+});
+
+commandRouter.register('cancel_broadcast', {
+  permission: 'broadcast',
+  audit: true,
+  args: /^(\d+)$/,
+  usage: '/cancel_broadcast <id>'
+}, async (msg, match) => {
+  try {
+    await replyToCancel(msg.chat.id, parseInt(match[1]), msg.from.id, msg.audit);
+  } catch (error) {
+    console.error('Cancel broadcast error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(msg.chat.id, 'Error cancelling broadcast.');
+  }
+});
+
+commandRouter.register('broadcasts', { permission: 'broadcast' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const active = await Broadcast.find({ status: { $in: ['scheduled', 'sending'] } }).sort({ runAt: 1 });
+    const recent = await Broadcast.find({ status: { $in: ['sent', 'cancelled', 'failed'] } }).sort({ finishedAt: -1 }).limit(5);
+    
+    if (active.length === 0 && recent.length === 0) {
+      return bot.sendMessage(chatId, 'No broadcasts yet. Start one with /broadcast');
+    }
+    
+    let message = `📢 Broadcasts\n\n`;
+    for (const broadcast of [...active, ...recent]) {
+      message += `${await describeBroadcast(broadcast)}\n`;
+    }
+    
+    await bot.sendMessage(chatId, message.trim(), {
+      reply_markup: {
+        inline_keyboard: active.map(broadcast => [{
+          text: `⛔ Cancel #${broadcast.broadcastId}`,
+          callback_data: `bc_stop_${broadcast.broadcastId}`
+        }])
+      }
+    });
+  } catch (error) {
+    console.error('Broadcasts list error:', error);
+    bot.sendMessage(chatId, 'Error fetching broadcasts.');
+  }
+});
+
+commandRouter.register('broadcast_report', {
+  permission: 'broadcast',
+  args: /^(\d+)$/,
+  usage: '/broadcast_report <id>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const broadcast = await Broadcast.findOne({ broadcastId: parseInt(match[1]), status: { $nin: ['draft', 'scheduled'] } });
+    if (!broadcast) {
+      return bot.sendMessage(chatId, 'No started broadcast with that id. See /broadcasts');
+    }
+    if (!await BroadcastDelivery.exists({ broadcastId: broadcast.broadcastId })) {
+      return bot.sendMessage(chatId, `No delivery records for broadcast #${broadcast.broadcastId} (they are kept ${DELIVERY_KEEP_DAYS} days).`);
+    }
+    
+    await sendDeliveryReport(chatId, broadcast);
+  } catch (error) {
+    console.error('Broadcast report error:', error);
+    bot.sendMessage(chatId, 'Error building the delivery report.');
+  }
+});
+
+// What the admin sends after pressing a composer button
+bot.on('message', async (msg) => {
+  if (!msg.from || (msg.text && msg.text.startsWith('/'))) return;
+  
+  const adminId = msg.from.id;
+  const pending = composerSteps.get(adminId);
+  if (!pending || pending.chatId !== msg.chat.id) return;
+  
+  const chatId = msg.chat.id;
+  const typed = (msg.text || '').trim();
+  
+  try {
+    // Files sent into an open /bulk_upload session belong to it, not to the draft
+    if (await BulkSession.exists({ userId: adminId, status: 'collecting' })) return;
+    
+    composerSteps.delete(adminId);
+    if (pending.expiresAt < Date.now() || !hasPermission(adminId, 'broadcast')) return;
+    
+    const broadcast = await Broadcast.findOne({ broadcastId: pending.broadcastId, status: 'draft' });
+    if (!broadcast) {
+      return bot.sendMessage(chatId, '❌ That draft was already sent or discarded.');
+    }
+    if (typed.toLowerCase() === 'cancel') {
+      return showComposer(chatId, broadcast);
+    }
+    
+    if (pending.step === 'content') {
+      const content = contentFromMessage(msg);
+      if (!content) {
+        waitFor(adminId, chatId, broadcast.broadcastId, 'content');
+        return bot.sendMessage(chatId, '❌ Send text, a photo or a document.');
+      }
+      broadcast.content = content;
+    }
+    
+    if (pending.step === 'buttons') {
+      const buttons = typed.toLowerCase() === 'none' ? [] : parseButtons(typed);
+      if (!buttons || buttons.length > MAX_BUTTONS) {
+        waitFor(adminId, chatId, broadcast.broadcastId, 'buttons');
+        return bot.sendMessage(chatId, `❌ Use one "Text | https://link" per line, up to ${MAX_BUTTONS} buttons. Try again or "cancel".`);
+      }
+      broadcast.buttons = buttons;
+    }
+    
+    if (pending.step === 'segment') {
+      const segment = SEGMENTS[pending.segment];
+      const value = Number(typed);
+      if (!Number.isInteger(value) || value < segment.min || value > segment.max) {
+        waitFor(adminId, chatId, broadcast.broadcastId, 'segment', pending.segment);
+        return bot.sendMessage(chatId, `❌ Send a whole number from ${segment.min} to ${segment.max}, or "cancel".`);
+      }
+      broadcast.segment = pending.segment;
+      broadcast.segmentValue = value;
+    }
+    
+    if (pending.step === 'schedule') {
+      const [dateText = '', timeText = ''] = typed.split(/\s+/);
+      const runAt = parseLocalDateTime(dateText, timeText);
+      if (!runAt || runAt <= new Date()) {
+        waitFor(adminId, chatId, broadcast.broadcastId, 'schedule');
+        return bot.sendMessage(chatId, `❌ Send a future date and time as YYYY-MM-DD HH:MM (${BOT_TIMEZONE}), or "cancel".`);
+      }
+      
+      const scheduled = await Broadcast.findOneAndUpdate(
+        { _id: broadcast._id, status: 'draft' },
+        { status: 'scheduled', runAt, chatId },
+        { new: true }
+      );
+      if (!scheduled) {
+        return bot.sendMessage(chatId, '❌ That draft was already sent or discarded.');
+      }
+      // Typed replies don't go through the router, so this one is logged here
+      await recordAuditEntry({
+        userId: adminId,
+        action: '/broadcast',
+        args: `schedule #${scheduled.broadcastId}`,
+        before: { broadcastId: scheduled.broadcastId, status: 'draft' },
+        after: { broadcastId: scheduled.broadcastId, status: 'scheduled', runAt, audience: describeSegment(scheduled) }
+      });
+      
+      return bot.sendMessage(chatId,
+        `📅 Broadcast scheduled!\n\n` +
+        `${await describeBroadcast(scheduled)}\n` +
+        `List: /broadcasts\n` +
+        `Cancel: /cancel_broadcast ${scheduled.broadcastId}`
+      );
+    }
+    
+    await broadcast.save();
+    await showComposer(chatId, broadcast);
+  } catch (error) {
+    console.error('Broadcast composer input error:', error);
+    bot.sendMessage(chatId, '❌ Error updating the broadcast.');
+  }
+});
+
+module.exports = { Broadcast, BroadcastDelivery, SEGMENTS, runDueBroadcasts, resumeBroadcasts };
@@ -0,0 +1,578 @@
+// Bulk upload sessions for StitchVault Bot
+// Sessions are stored in MongoDB so files sent before a restart or deploy are not lost.
+// Each session uploads into one channel, chosen when it starts.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { channelLabel, getChannel, getAdminChannel } = require('./channels');
+
+const BULK_SESSION_MINUTES = parseInt(process.env.BULK_SESSION_MINUTES) || 5;
+const BULK_SESSION_MS = BULK_SESSION_MINUTES * 60 * 1000;
+
+// Abandoned sessions are purged by MongoDB one day after they expire
+const BULK_SESSION_PURGE_SECONDS = 24 * 60 * 60;
+
+// Bulk Session Schema
+const bulkSessionSchema = new mongoose.Schema({
+  userId: { type: Number, required: true, unique: true },
+  chatId: { type: Number, required: true },
+  channel: { type: String, default: PRIMARY_CHANNEL_KEY },
+  files: [{
+    fileName: String, // The document's name or the photo's caption; null for a photo without one
+    fileId: String,
+    fileSize: Number,
+    isImageFile: Boolean, // From the message: photos and image documents are previews
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  startTime: { type: Date, default: Date.now },
+  // collecting: accepting files, review: preview sent and waiting for Confirm / Cancel
+  status: { type: String, enum: ['collecting', 'review'], default: 'collecting' },
+  reviewMessageId: Number,
+  expiresAt: { type: Date, required: true }
+});
+
+bulkSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: BULK_SESSION_PURGE_SECONDS });
+
+const BulkSession = mongoose.model('BulkSession', bulkSessionSchema);
+
+// Auto-finish timers, keyed by admin userId
+const sessionTimers = new Map();
+
+function scheduleSessionTimeout(session) {
+  clearSessionTimeout(session.userId);
+  
+  const delay = Math.max(0, session.expiresAt.getTime() - Date.now());
+  const timer = setTimeout(() => {
+    sessionTimers.delete(session.userId);
+    finishBulkUpload(session.userId).catch(error => {
+      console.error('Bulk upload auto-finish error:', error);
+    });
+  }, delay);
+  
+  sessionTimers.set(session.userId, timer);
+}
+
+function clearSessionTimeout(userId) {
+  const timer = sessionTimers.get(userId);
+  if (timer) {
+    clearTimeout(timer);
+    sessionTimers.delete(userId);
+  }
+}
+
+// "3.jpg" -> sequence 3, "3_a.jpg" -> 3 item "a", "3.part1.rar" -> 3 item "part1".
+// Names that don't start with a number use the first number in them. null when there is none.
+function parseRewardFilename(filename) {
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  const leading = baseName.match(/^(\d+)[\s._-]*(.*)$/);
+  if (leading) {
+    return { sequenceNumber: parseInt(leading[1]), itemKey: leading[2].toLowerCase() };
+  }
+  
+  const match = filename.match(/(\d+)/);
+  return match ? { sequenceNumber: parseInt(match[1]), itemKey: '' } : null;
+}
+
+function describeSlot(sequenceNumber, isImageFile, itemKey) {
+  return `#${sequenceNumber} ${isImageFile ? 'preview' : 'download'}${itemKey ? ` ${itemKey}` : ''}`;
+}
+
+// Work out what committing the session would do, without writing anything
+async function buildBulkPlan(channel, files) {
+  const entries = [];
+  const unnumbered = [];
+  const seenSlots = new Set();
+  
+  for (const file of files) {
+    const parsed = file.fileName ? parseRewardFilename(file.fileName) : null;
+    if (parsed === null) {
+      unnumbered.push(file);
+      continue;
+    }
+    
+    const { sequenceNumber, itemKey } = parsed;
+    // Sessions saved before the message type was recorded only have the name to go by
+    const isImageFile = file.isImageFile ?? isImageFileType(file.fileName);
+    const slotKey = `${sequenceNumber}_${isImageFile}_${itemKey}`;
+    let status = 'new';
+    let existing = null;
+    
+    if (seenSlots.has(slotKey)) {
+      status = 'duplicate';
+    } else {
+      seenSlots.add(slotKey);
+      // Rewards saved before item keys existed have no itemKey field at all
+      existing = await Reward.findOne({
+        channel: channel.key,
+        sequenceNumber,
+        isImageFile,
+        itemKey: itemKey || { $in: ['', null] }
+      });
+      if (existing) {
+        status = existing.posted ? 'posted' : 'exists';
+      }
+    }
+    
+    entries.push({ file, sequenceNumber, itemKey, isImageFile, status, existing });
+  }
+  
+  entries.sort(compareRewardItems);
+  
+  // Sequence 0 is the single welcome bonus file, so it is not expected to have both parts
+  const sequences = [...new Set(entries.map(entry => entry.sequenceNumber))].filter(n => n > 0);
+  const missingPreview = [];
+  const missingDownload = [];
+  
+  for (const sequenceNumber of sequences) {
+    const hasPart = async (isImageFile) =>
+      entries.some(entry => entry.sequenceNumber === sequenceNumber && entry.isImageFile === isImageFile) ||
+      await Reward.exists({ channel: channel.key, sequenceNumber, isImageFile });
+    
+    if (!await hasPart(true)) missingPreview.push(sequenceNumber);
+    if (!await hasPart(false)) missingDownload.push(sequenceNumber);
+  }
+  
+  return { entries, unnumbered, missingPreview, missingDownload };
+}
+
+function formatBulkPlan(channel, plan, totalFiles) {
+  const count = (status) => plan.entries.filter(entry => entry.status === status).length;
+  const statusLabels = {
+    new: '',
+    exists: ' ⚠️ exists',
+    posted: ' 🔒 already posted',
+    duplicate: ' ♊ duplicate in batch'
+  };
+  
+  // Keep the preview well under Telegram's 4096 character limit
+  const maxLines = 40;
+  const mappingLines = plan.entries.slice(0, maxLines).map(entry =>
+    `${entry.file.fileName} → ${describeSlot(entry.sequenceNumber, entry.isImageFile, entry.itemKey)}${statusLabels[entry.status]}`
+  );
+  if (plan.entries.length > maxLines) {
+    mappingLines.push(`...and ${plan.entries.length - maxLines} more`);
+  }
+  
+  let message = 
+    `🔍 Bulk Upload Preview\n\n` +
+    `Channel: ${channelLabel(channel)}\n` +
+    `Files received: ${totalFiles}\n` +
+    `New: ${count('new')}\n` +
+    `Already exist: ${count('exists')} (kept unless replaced)\n` +
+    `Already posted: ${count('posted')} (never replaced)\n` +
+    `Duplicates in batch: ${count('duplicate')} (skipped)\n` +
+    `No number in name: ${plan.unnumbered.length} (skipped)\n`;
+  
+  if (mappingLines.length > 0) {
+    message += `\n📋 Mapping:\n${mappingLines.join('\n')}\n`;
+  }
+  if (plan.unnumbered.length > 0) {
+    message += `\n❓ No number:\n${plan.unnumbered.slice(0, 10).map(f => `• ${f.fileName || 'photo without a caption'}`).join('\n')}\n`;
+  }
+  if (plan.missingPreview.length > 0) {
+    message += `\n⚠️ Missing preview: ${plan.missingPreview.map(n => `#${n}`).join(', ')}\n`;
+  }
+  if (plan.missingDownload.length > 0) {
+    message += `\n⚠️ Missing download: ${plan.missingDownload.map(n => `#${n}`).join(', ')}\n`;
+  }
+  
+  return message;
+}
+
+// Stop collecting and send the preview with Confirm / Replace existing / Cancel buttons
+async function finishBulkUpload(userId) {
+  const session = await BulkSession.findOneAndUpdate(
+    { userId, status: 'collecting' },
+    { status: 'review', expiresAt: new Date() },
+    { new: true }
+  );
+  clearSessionTimeout(userId);
+  if (!session) return;
+  
+  const chatId = session.chatId;
+  
+  if (session.files.length === 0) {
+    await BulkSession.deleteOne({ _id: session._id });
+    return bot.sendMessage(chatId, 'No files received for bulk upload.');
+  }
+  
+  const channel = await getChannel(session.channel);
+  if (!channel) {
+    await BulkSession.deleteOne({ _id: session._id });
+    return bot.sendMessage(chatId, `❌ Channel "${session.channel}" no longer exists. Bulk upload discarded.`);
+  }
+  
+  const plan = await buildBulkPlan(channel, session.files);
+  const hasExisting = plan.entries.some(entry => entry.status === 'exists');
+  
+  const buttons = [{ text: '✅ Confirm', callback_data: 'bulk_apply_add' }];
+  if (hasExisting) {
+    buttons.push({ text: '♻️ Replace existing', callback_data: 'bulk_apply_replace' });
+  }
+  buttons.push({ text: '❌ Cancel', callback_data: 'bulk_apply_cancel' });
+  
+  const previewMessage = await bot.sendMessage(chatId, formatBulkPlan(channel, plan, session.files.length), {
+    reply_markup: { inline_keyboard: [buttons] }
+  });
+  
+  session.reviewMessageId = previewMessage.message_id;
+  await session.save();
+}
+
+// Commit a reviewed session. With replaceExisting, unposted rewards in the same slot are swapped out.
+async function applyBulkUpload(userId, replaceExisting) {
+  // Deleting the session claims it, so a double tap can't apply it twice
+  const session = await BulkSession.findOneAndDelete({ userId, status: 'review' });
+  if (!session) return null;
+  
+  const channel = await getChannel(session.channel);
+  if (!channel) {
+    throw new Error(`Channel "${session.channel}" no longer exists`);
+  }
+  
+  const plan = await buildBulkPlan(channel, session.files);
+  let added = 0;
+  let replaced = 0;
+  let skipped = 0;
+  let errors = 0;
+  
+  for (const entry of plan.entries) {
+    const { file, sequenceNumber, itemKey, isImageFile } = entry;
+    
+    if (entry.status === 'duplicate' || entry.status === 'posted' ||
+        (entry.status === 'exists' && !replaceExisting)) {
+      skipped++;
+      continue;
+    }
+    
+    try {
+      if (entry.status === 'exists') {
+        // Posted since the preview was built - keep it and don't add a duplicate
+        const { deletedCount } = await Reward.deleteOne({ _id: entry.existing._id, posted: false });
+        if (deletedCount === 0) {
+          skipped++;
+          continue;
+        }
+      }
+      
+      const reward = new Reward({
+        rewardId: Date.now() + Math.random() * 1000,
+        channel: channel.key,
+        sequenceNumber,
+        fileName: file.fileName,
+        filePath: file.fileId,
+        imageName: isImageFile ? file.fileName : null,
+        imagePath: isImageFile ? file.fileId : null,
+        description: `Sequence ${sequenceNumber} ${isImageFile ? 'preview' : 'download'}`,
+        itemKey,
+        addedBy: userId,
+        isImageFile: isImageFile,
+        posted: false
+      });
+      
+      await reward.save();
+      if (entry.status === 'exists') {
+        replaced++;
+      } else {
+        added++;
+      }
+      
+    } catch (error) {
+      console.error(`Error processing ${file.fileName}:`, error);
+      errors++;
+    }
+  }
+  
+  await updateStats();
+  
+  return {
+    chatId: session.chatId,
+    channel,
+    added,
+    replaced,
+    skipped: skipped + plan.unnumbered.length,
+    errors,
+    total: session.files.length
+  };
+}
+
+// Add a received file to the admin's open session and push its expiry back
+async function addFileToSession(userId, file) {
+  const session = await BulkSession.findOneAndUpdate(
+    { userId, status: 'collecting' },
+    {
+      $push: { files: file },
+      $set: { expiresAt: new Date(Date.now() + BULK_SESSION_MS) }
+    },
+    { new: true }
+  );
+  
+  if (session) {
+    scheduleSessionTimeout(session);
+  }
+  
+  return session;
+}
+
+// Re-arm timers for sessions left open by a previous run; expired ones are finished now
+async function recoverBulkSessions() {
+  try {
+    const sessions = await BulkSession.find({ status: 'collecting' });
+    
+    for (const session of sessions) {
+      scheduleSessionTimeout(session);
+      
+      if (session.expiresAt > new Date()) {
+        bot.sendMessage(session.chatId,
+          `♻️ Bulk upload session restored after restart!\n\n` +
+          `Files received: ${session.files.length}\n` +
+          `Send more or /bulk_finish when done`
+        ).catch(() => {});
+      }
+    }
+    
+    if (sessions.length > 0) {
+      console.log(`Recovered ${sessions.length} bulk upload sessions`);
+    }
+  } catch (error) {
+    console.error('Bulk session recovery error:', error);
+  }
+}
+
+commandRouter.register('bulk_upload', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  const helpMessage =
+    `📦 StitchVault Bulk Upload Instructions:\n\n` +
+    `1. Use /bulk_upload_files [channel] to start session\n` +
+    `   (without a channel key, files go to the one picked with /use_channel)\n` +
+    `2. Send multiple files/images\n` +
+    `3. Use /bulk_finish when done\n\n` +
+    `📁 Naming Convention:\n` +
+    `"0.jpg" = Welcome bonus (sequence 0)\n` +
+    `"1.jpg" = First unlock preview (sequence 1)\n` +
+    `"1.zip" = First unlock download (sequence 1)\n` +
+    `"2.png" = Second unlock preview (sequence 2)\n` +
+    `"2.rar" = Second unlock download (sequence 2)\n` +
+    `"3_a.jpg", "3_b.jpg" = Several previews for sequence 3\n` +
+    `"3.part1.rar", "3.part2.rar" = Split download for sequence 3\n\n` +
+    `The number in the filename determines posting order.\n` +
+    `Images and documents with the same number are posted together, as albums where possible.\n` +
+    `The text after the number orders several files of one kind.\n` +
+    `/bulk_finish shows a preview first - nothing is saved until you confirm.\n\n` +
+    `Sessions expire ${BULK_SESSION_MINUTES} minutes after the last file and survive bot restarts.\n\n` +
+    `Commands:\n` +
+    `/bulk_upload_files [channel] - Start session\n` +
+    `/bulk_status - Check progress\n` +
+    `/bulk_finish - Complete upload\n` +
+    `/bulk_cancel - Cancel session`;
+  
+  await bot.sendMessage(chatId, helpMessage);
+});
+
+commandRouter.register('bulk_upload_files', {
+  permission: 'content',
+  args: /^([a-z0-9]+)?$/i,
+  usage: '/bulk_upload_files [channel key]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  try {
+    const existing = await BulkSession.findOne({ userId });
+    if (existing) {
+      return bot.sendMessage(chatId,
+        `📦 You already have an open session with ${existing.files.length} files.\n` +
+        `Use /bulk_finish to complete it or /bulk_cancel to discard it.`
+      );
+    }
+    
+    const channel = match[1] ? await getChannel(match[1].toLowerCase()) : await getAdminChannel(userId);
+    if (!channel) {
+      return bot.sendMessage(chatId, `❌ No channel "${match[1]}". See /channels`);
+    }
+    
+    const session = await BulkSession.create({
+      userId,
+      chatId,
+      channel: channel.key,
+      files: [],
+      expiresAt: new Date(Date.now() + BULK_SESSION_MS)
+    });
+    
+    scheduleSessionTimeout(session);
+    
+    bot.sendMessage(chatId,
+      `📦 Bulk Upload Session Started!\n\n` +
+      `Channel: ${channelLabel(channel)}\n` +
+      `Send files now (images and documents)\n` +
+      `Session expires ${BULK_SESSION_MINUTES} minutes after the last file\n` +
+      `Use /bulk_finish when complete`
+    );
+  } catch (error) {
+    console.error('Bulk upload start error:', error);
+    bot.sendMessage(chatId, 'Error starting bulk upload session.');
+  }
+});
+
+commandRouter.register('bulk_finish', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  try {
+    const session = await BulkSession.findOne({ userId });
+    if (!session) {
+      return bot.sendMessage(chatId, 'No active bulk upload session.');
+    }
+    if (session.status === 'review') {
+      return bot.sendMessage(chatId, 'This session is waiting for you to confirm the preview above. Use /bulk_cancel to discard it.');
+    }
+    
+    await finishBulkUpload(userId);
+  } catch (error) {
+    console.error('Bulk finish error:', error);
+    bot.sendMessage(chatId, 'Error finishing bulk upload.');
+  }
+});
+
+commandRouter.register('bulk_status', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  const session = await BulkSession.findOne({ userId });
+  
+  if (!session) {
+    return bot.sendMessage(chatId, 'No active bulk upload session.');
+  }
+  
+  const elapsed = Math.floor((Date.now() - session.startTime) / 1000);
+  const remaining = Math.max(0, Math.floor((session.expiresAt - Date.now()) / 1000));
+  const timing = session.status === 'review'
+    ? `Status: waiting for confirmation\n\n`
+    : `Elapsed: ${elapsed}s\nRemaining: ${remaining}s\n\n`;
+  
+  const message =
+    `📊 Bulk Upload Status:\n\n` +
+    `Channel: ${session.channel}\n` +
+    `Files received: ${session.files.length}\n` +
+    timing +
+    `Recent files:\n` +
+    session.files.slice(-5).map(f => `• ${f.fileName || 'photo without a caption'}`).join('\n');
+  
+  await bot.sendMessage(chatId, message);
+});
+
+commandRouter.register('bulk_cancel', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  const session = await BulkSession.findOneAndDelete({ userId });
+  clearSessionTimeout(userId);
+  
+  if (session) {
+    bot.sendMessage(chatId, '❌ Bulk upload session cancelled.');
+  } else {
+    bot.sendMessage(chatId, 'No active session to cancel.');
+  }
+});
+
+// Preview buttons sent by finishBulkUpload
+commandRouter.registerCallback('bulk_apply_', { permission: 'content', audit: true }, async (callbackQuery, action) => {
+  const userId = callbackQuery.from.id;
+  const chatId = callbackQuery.message.chat.id;
+  
+  bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: chatId,
+    message_id: callbackQuery.message.message_id
+  }).catch(() => {});
+  
+  if (action === 'cancel') {
+    const session = await BulkSession.findOneAndDelete({ userId, status: 'review' });
+    await bot.answerCallbackQuery(callbackQuery.id, { text: session ? 'Bulk upload cancelled' : 'Nothing to cancel' });
+    if (session) {
+      bot.sendMessage(chatId, '❌ Bulk upload cancelled. No rewards were added.');
+    }
+    return;
+  }
+  
+  await bot.answerCallbackQuery(callbackQuery.id, { text: 'Applying bulk upload...' });
+  const result = await applyBulkUpload(userId, action === 'replace');
+  
+  if (!result) {
+    callbackQuery.audit.error = 'Already applied or cancelled';
+    return bot.sendMessage(chatId, 'This bulk upload was already applied or cancelled.');
+  }
+  callbackQuery.audit.after = {
+    channel: result.channel.key,
+    mode: action,
+    added: result.added,
+    replaced: result.replaced,
+    skipped: result.skipped,
+    errors: result.errors
+  };
+  
+  await bot.sendMessage(chatId,
+    `✅ Bulk Upload Complete!\n\n` +
+    `Channel: ${channelLabel(result.channel)}\n` +
+    `Added: ${result.added}\n` +
+    `Replaced: ${result.replaced}\n` +
+    `Skipped: ${result.skipped}\n` +
+    `Errors: ${result.errors}\n` +
+    `Total: ${result.total}`
+  );
+});
+
+// Handle file uploads during bulk session
+bot.on('document', async (msg) => {
+  const userId = msg.from.id;
+  if (!hasPermission(userId, 'content')) return;
+  
+  try {
+    const session = await addFileToSession(userId, {
+      fileName: msg.document.file_name,
+      fileId: msg.document.file_id,
+      fileSize: msg.document.file_size,
+      isImageFile: (msg.document.mime_type || '').startsWith('image/')
+    });
+    
+    if (!session) return;
+    
+    bot.sendMessage(msg.chat.id,
+      `✅ File added: ${msg.document.file_name}\n` +
+      `Total: ${session.files.length} files\n` +
+      `Send more or /bulk_finish when done`
+    );
+  } catch (error) {
+    console.error('Bulk document error:', error);
+  }
+});
+
+bot.on('photo', async (msg) => {
+  const userId = msg.from.id;
+  if (!hasPermission(userId, 'content')) return;
+  
+  const photo = msg.photo[msg.photo.length - 1];
+  // Without a caption there is no sequence number to read, so the plan lists it as skipped
+  const fileName = msg.caption?.trim() || null;
+  
+  try {
+    const session = await addFileToSession(userId, {
+      fileName: fileName,
+      fileId: photo.file_id,
+      fileSize: photo.file_size,
+      isImageFile: true
+    });
+    
+    if (!session) return;
+    
+    bot.sendMessage(msg.chat.id,
+      `✅ Image added: ${fileName || 'no caption — it will be skipped, resend with a numbered caption'}\n` +
+      `Total: ${session.files.length} files\n` +
+      `Send more or /bulk_finish when done`
+    );
+  } catch (error) {
+    console.error('Bulk photo error:', error);
+  }
+});
+
+module.exports = { BulkSession, buildBulkPlan, finishBulkUpload, recoverBulkSessions };
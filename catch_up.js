@@ -0,0 +1,276 @@
+// Catch-up posting for StitchVault Bot
+// When the community is several milestones ahead of the channel (after /set_count or a burst
+// of joins), drain the backlog with a delay between posts, or batch it into one album.
+// Runs per channel; only one run at a time for each.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { channelLabel, getChannel, getAdminChannel } = require('./channels');
+
+// off: one post per join (default), drain: post the backlog one by one, album: previews as one album
+const CATCH_UP_MODE = ['off', 'drain', 'album'].includes(process.env.CATCH_UP_MODE) ? process.env.CATCH_UP_MODE : 'off';
+const CATCH_UP_DELAY_SECONDS = parseInt(process.env.CATCH_UP_DELAY_SECONDS) || 60;
+// Telegram albums hold at most 10 items
+const CATCH_UP_MAX_POSTS = Math.min(parseInt(process.env.CATCH_UP_MAX_POSTS) || 10, 10);
+
+// Keys of the channels with a catch-up in progress
+const catchUpRunning = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// What a catch-up run would post right now, without posting anything
+async function getCatchUpPlan(channel) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const memberCount = stats.communityMemberCount || 0;
+  const lastPosted = stats.lastPostedSequence || 0;
+  const postsNeeded = Math.floor(memberCount / channel.invitesPerReward);
+  const behind = Math.max(0, postsNeeded - lastPosted);
+  
+  const sequences = [];
+  let cursor = lastPosted;
+  while (sequences.length < Math.min(behind, CATCH_UP_MAX_POSTS)) {
+    const sequenceNumber = await findNextSequence(channel, cursor);
+    const rewards = (await Reward.find({ channel: channel.key, sequenceNumber, posted: false })).sort(compareRewardItems);
+    if (rewards.length === 0) break;
+    
+    sequences.push({ sequenceNumber, rewards });
+    cursor = sequenceNumber;
+  }
+  
+  return { channel, memberCount, lastPosted, postsNeeded, behind, sequences };
+}
+
+// Post the backlog one sequence at a time; only the last post gets the milestone message.
+// Joins, leaves and milestone posts can all happen during the delays, so each post re-reads
+// Stats, stops once nothing is owed any more and claims its own slot.
+async function drainBacklog(plan) {
+  const posted = [];
+  
+  while (posted.length < plan.sequences.length) {
+    if (posted.length > 0) await sleep(CATCH_UP_DELAY_SECONDS * 1000);
+    
+    const channel = await getChannel(plan.channel.key);
+    if (!channel) break;
+    
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    const memberCount = stats.communityMemberCount || 0;
+    const lastPosted = stats.lastPostedSequence || 0;
+    const owed = Math.floor(memberCount / channel.invitesPerReward) - lastPosted;
+    if (owed <= 0) break;
+    
+    const nextSequence = await findNextSequence(channel, lastPosted);
+    if (!await Reward.exists({ channel: channel.key, sequenceNumber: nextSequence, posted: false })) break;
+    
+    // Lost to a milestone post that moved the pointer since Stats was read; look again
+    if (!await claimPostingSlot(channel, lastPosted, nextSequence)) continue;
+    
+    let result = null;
+    try {
+      result = await postSequenceToChannel(channel, nextSequence, memberCount, {
+        skipMilestoneMessage: owed > 1 && posted.length < plan.sequences.length - 1
+      });
+    } finally {
+      if (!(result && (result.imageMessageId || result.fileMessageId))) {
+        await releasePostingSlot(channel, lastPosted, nextSequence);
+      }
+    }
+    if (!result) break;
+    
+    posted.push(result);
+  }
+  
+  return posted;
+}
+
+// Post every preview of the batch as albums (10 per album), then the downloads, then one milestone message.
+// Returns null (with nothing claimed) when nothing could be sent, so the caller can drain instead.
+async function postBacklogAsAlbum(plan) {
+  const { channel } = plan;
+  const sequences = plan.sequences.map(entry => entry.sequenceNumber);
+  const lastSequence = sequences[sequences.length - 1];
+  
+  if (!await claimPostingSlot(channel, plan.lastPosted, lastSequence)) return [];
+  
+  const claimed = [];
+  for (const sequenceNumber of sequences) {
+    claimed.push(...await claimSequenceRewards(channel, sequenceNumber, false));
+  }
+  
+  const results = [];
+  const previewSend = await sendRewardsToChannel(channel, claimed.filter(reward => reward.isImageFile), null, results);
+  
+  if (previewSend.sent.length === 0) {
+    console.error('Catch-up album failed, falling back to one by one');
+    for (const reward of claimed) {
+      await unclaimReward(reward, false);
+    }
+    await releasePostingSlot(channel, plan.lastPosted, lastSequence);
+    return null;
+  }
+  
+  const downloadSend = await sendRewardsToChannel(channel, claimed.filter(reward => !reward.isImageFile), null, results);
+  const sent = [...previewSend.sent, ...downloadSend.sent];
+  const failed = [...previewSend.failed, ...downloadSend.failed];
+  
+  for (const reward of failed) {
+    await unclaimReward(reward, false);
+  }
+  
+  // The pointer was claimed up to lastSequence; pull it back below the first sequence with a
+  // failed file, or the queue would never come back for it
+  let pointer = lastSequence;
+  if (failed.length > 0) {
+    const failedSequences = [...new Set(failed.map(reward => reward.sequenceNumber))].sort((a, b) => a - b);
+    pointer = sequences.filter(sequenceNumber => sequenceNumber < failedSequences[0]).pop() ?? plan.lastPosted;
+    await releasePostingSlot(channel, pointer, lastSequence);
+    results.push(`⚠️ Not fully sent: sequence ${failedSequences.join(', ')} - queued again from ${pointer + 1}`);
+  }
+  
+  for (const sequenceNumber of sequences) {
+    const sequenceSent = sent.filter(item => item.reward.sequenceNumber === sequenceNumber);
+    if (sequenceSent.length === 0) continue;
+    
+    await ChannelPost.create({
+      postId: `${Date.now()}_${sequenceNumber}`,
+      channel: channel.key,
+      sequenceNumber,
+      imageMessageId: sequenceSent.find(item => item.reward.isImageFile)?.messageId || null,
+      fileMessageId: sequenceSent.find(item => !item.reward.isImageFile)?.messageId || null,
+      messageIds: sequenceSent.map(item => item.messageId),
+      memberCountAtPost: plan.memberCount,
+      isTest: false
+    });
+  }
+  
+  await sendMilestoneMessage(channel, plan.memberCount);
+  await Stats.findOneAndUpdate({ channel: channel.key }, { lastChannelPost: new Date(), lastAutoPostCheck: new Date() });
+  
+  return [{ nextSequence: pointer, results }];
+}
+
+// Run one catch-up pass. Returns the posted results, or null when a run is already going.
+async function runCatchUp(channel, mode = CATCH_UP_MODE) {
+  if (catchUpRunning.has(channel.key)) return null;
+  catchUpRunning.add(channel.key);
+  
+  try {
+    const plan = await getCatchUpPlan(channel);
+    if (plan.sequences.length === 0) return [];
+    
+    let posted = null;
+    if (mode === 'album' && plan.sequences.length > 1) {
+      posted = await postBacklogAsAlbum(plan);
+    }
+    if (posted === null) {
+      posted = await drainBacklog(plan);
+    }
+    
+    if (posted.length > 0) {
+      await notifyAdmins(
+        `⏩ Catch-up complete!\n\n` +
+        `Channel: ${channelLabel(channel)}\n` +
+        `Community members: ${plan.memberCount}\n` +
+        `Sequences posted: ${posted.map(result => result.nextSequence).join(', ')}\n\n` +
+        posted.flatMap(result => result.results).join('\n')
+      );
+    }
+    
+    return posted;
+  } finally {
+    catchUpRunning.delete(channel.key);
+  }
+}
+
+// Called after a milestone post; drains the rest in the background when catch-up is enabled
+function maybeStartCatchUp(channel) {
+  if (CATCH_UP_MODE === 'off' || catchUpRunning.has(channel.key)) return;
+  
+  runCatchUp(channel).catch(error => {
+    console.error('Catch-up error:', error);
+  });
+}
+
+commandRouter.register('catch_up', { permission: 'posting' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    const plan = await getCatchUpPlan(channel);
+    
+    if (plan.behind === 0) {
+      return bot.sendMessage(chatId, `✅ ${channelLabel(channel)} is up to date! ${plan.memberCount} members, last posted sequence ${plan.lastPosted}.`);
+    }
+    if (plan.sequences.length === 0) {
+      return bot.sendMessage(chatId,
+        `⚠️ ${plan.behind} sequences behind, but sequence ${await findNextSequence(channel, plan.lastPosted)} has no files.\n` +
+        `Check the queue with /audit_rewards`
+      );
+    }
+    
+    const mode = CATCH_UP_MODE === 'album' ? 'album' : 'drain';
+    const lines = plan.sequences.map(entry =>
+      `#${entry.sequenceNumber}: ${entry.rewards.map(reward => reward.fileName).join(', ')}`
+    );
+    
+    const message =
+      `⏩ Catch-up Preview\n\n` +
+      `Channel: ${channelLabel(channel)}\n` +
+      `Community members: ${plan.memberCount}\n` +
+      `Milestones reached: ${plan.postsNeeded}\n` +
+      `Last posted sequence: ${plan.lastPosted}\n` +
+      `Behind by: ${plan.behind}\n\n` +
+      `Would post${plan.behind > plan.sequences.length ? ` (first ${plan.sequences.length})` : ''}:\n` +
+      `${lines.join('\n')}\n\n` +
+      `Mode: ${mode === 'album' ? 'one album' : `one by one, ${CATCH_UP_DELAY_SECONDS}s apart`}`;
+    
+    await bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: `🚀 Post ${plan.sequences.length} now`, callback_data: `catchup_run_${mode}_${channel.key}` },
+          { text: '❌ Cancel', callback_data: 'catchup_cancel' }
+        ]]
+      }
+    });
+  } catch (error) {
+    console.error('Catch-up preview error:', error);
+    bot.sendMessage(chatId, `Error building catch-up preview: ${error.message}`);
+  }
+});
+
+commandRouter.registerCallback('catchup_', { permission: 'posting', audit: true }, async (callbackQuery, action) => {
+  const chatId = callbackQuery.message.chat.id;
+  
+  bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: chatId,
+    message_id: callbackQuery.message.message_id
+  }).catch(() => {});
+  
+  if (action === 'cancel') {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Catch-up cancelled' });
+  }
+  
+  const match = action.match(/^run_(drain|album)_([a-z0-9]+)$/);
+  const channel = match && await getChannel(match[2]);
+  if (!channel) {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Channel not found', show_alert: true });
+  }
+  
+  if (catchUpRunning.has(channel.key)) {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'A catch-up is already running', show_alert: true });
+  }
+  
+  await bot.answerCallbackQuery(callbackQuery.id, { text: 'Catch-up started...' });
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  callbackQuery.audit.before = { channel: channel.key, lastPostedSequence: stats.lastPostedSequence || 0 };
+  const posted = await runCatchUp(channel, match[1]);
+  if (posted && posted.length > 0) {
+    callbackQuery.audit.after = { channel: channel.key, mode: match[1], postedSequences: posted.map(result => result.nextSequence) };
+  }
+  
+  if (posted && posted.length === 0) {
+    bot.sendMessage(chatId, 'Nothing was posted - the channel may already be up to date.');
+  }
+});
+
+module.exports = { CATCH_UP_MODE, getCatchUpPlan, runCatchUp, maybeStartCatchUp };
@@ -0,0 +1,183 @@
+// Channel post retraction for StitchVault Bot
+// Deletes a posted sequence's messages from the channel, marks its rewards unposted,
+// rolls back lastPostedSequence when it was the latest post, and optionally reposts it.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { getChannel } = require('./channels');
+
+// Highest sequence posted before this one, which becomes the new lastPostedSequence
+async function previousPostedSequence(channel, sequenceNumber) {
+  const previous = await Reward.findOne({
+    channel: channel.key,
+    sequenceNumber: { $gt: 0, $lt: sequenceNumber },
+    posted: true
+  }).sort({ sequenceNumber: -1 });
+  return previous ? previous.sequenceNumber : 0;
+}
+
+async function deleteChannelMessage(channel, messageId) {
+  if (!messageId) return;
+  
+  try {
+    await bot.deleteMessage(channel.chatId, messageId);
+  } catch (error) {
+    // Already deleted by hand in Telegram - nothing left to remove
+    if (/message to delete not found/i.test(error.message)) return;
+    throw error;
+  }
+}
+
+// Retract one ChannelPost. Claimed by setting retractedAt first, so two admins
+// tapping the button at once can't both roll the sequence back.
+async function retractChannelPost(postId) {
+  const post = await ChannelPost.findOneAndUpdate(
+    { postId, retractedAt: null },
+    { retractedAt: new Date() },
+    { new: true }
+  );
+  if (!post) {
+    throw new Error('Post not found or already retracted.');
+  }
+  
+  const channel = await getChannel(post.channel);
+  if (!channel) {
+    await ChannelPost.updateOne({ postId }, { retractedAt: null });
+    throw new Error(`Channel "${post.channel}" no longer exists.`);
+  }
+  
+  // Posts from before albums only recorded the image and file message ids
+  const messageIds = new Set([...(post.messageIds || []), post.imageMessageId, post.fileMessageId]);
+  
+  try {
+    for (const messageId of messageIds) {
+      await deleteChannelMessage(channel, messageId);
+    }
+  } catch (error) {
+    await ChannelPost.updateOne({ postId }, { retractedAt: null });
+    throw new Error(`Couldn't delete the channel messages: ${error.message}`);
+  }
+  
+  const results = [`🗑 Channel messages deleted`];
+  let rolledBackTo = null;
+  
+  // Test posts never claimed their rewards or moved the pointer
+  if (!isTestPost(post)) {
+    const unposted = await Reward.updateMany(
+      { channel: channel.key, sequenceNumber: post.sequenceNumber, posted: true },
+      { posted: false, postedAt: null }
+    );
+    results.push(`↩️ Rewards marked unposted: ${unposted.modifiedCount}`);
+    
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    if (stats.lastPostedSequence === post.sequenceNumber) {
+      rolledBackTo = await previousPostedSequence(channel, post.sequenceNumber);
+      await releasePostingSlot(channel, rolledBackTo, post.sequenceNumber);
+      results.push(`⏪ Last posted sequence: ${post.sequenceNumber} → ${rolledBackTo}`);
+    }
+  }
+  
+  return { post, channel, rolledBackTo, results };
+}
+
+// Send a retracted sequence again. The pointer only moves forward again if the retraction rolled it back.
+async function repostSequence(channel, sequenceNumber, rolledBackTo) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const memberCount = stats.communityMemberCount || 0;
+  
+  const movesPointer = rolledBackTo !== null && await claimPostingSlot(channel, rolledBackTo, sequenceNumber);
+  
+  // The milestone message from the original post is still in the channel
+  const result = await postSequenceToChannel(channel, sequenceNumber, memberCount, { isManual: true, skipMilestoneMessage: true });
+  
+  if (movesPointer && !(result && (result.imageMessageId || result.fileMessageId))) {
+    await releasePostingSlot(channel, rolledBackTo, sequenceNumber);
+  }
+  
+  return result;
+}
+
+commandRouter.registerCallback('chpost_', { permission: 'posting', audit: true }, async (callbackQuery, rest) => {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  
+  if (rest === 'cancel') {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Cancelled' });
+  }
+  
+  const match = rest.match(/^(ask|retract|repost)_(.+)$/);
+  if (!match) {
+    return bot.answerCallbackQuery(callbackQuery.id);
+  }
+  
+  const [, action, postId] = match;
+  
+  try {
+    if (action === 'ask') {
+      const post = await ChannelPost.findOne({ postId, retractedAt: null });
+      if (!post) {
+        return bot.answerCallbackQuery(callbackQuery.id, { text: 'Post not found or already retracted.', show_alert: true });
+      }
+      
+      // Only retracting the latest post moves the pointer back; older ones end up below it
+      const stats = await Stats.findOne({ channel: post.channel }) || {};
+      const lastPosted = stats.lastPostedSequence || 0;
+      let effect = 'The files go back into the queue as unposted.';
+      if (isTestPost(post)) {
+        effect = 'Test post - only the channel messages are deleted.';
+      } else if (lastPosted !== post.sequenceNumber) {
+        effect =
+          `⚠️ Not the latest post (last posted is ${lastPosted}). The files are marked unposted but stay below ` +
+          `the queue, so they won't be posted again unless you choose Retract & repost or move them up with ` +
+          `/move_sequence ${post.sequenceNumber} <sequence after ${lastPosted}>.`;
+      }
+      
+      await bot.answerCallbackQuery(callbackQuery.id);
+      return bot.sendMessage(chatId,
+        `🗑 Retract sequence ${post.sequenceNumber} from ${post.channel}?\n\n` +
+        `Posted: ${post.sentAt.toLocaleString()}\n` +
+        effect,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '🗑 Retract', callback_data: `chpost_retract_${postId}` },
+                { text: '🔁 Retract & repost', callback_data: `chpost_repost_${postId}` }
+              ],
+              [{ text: '❌ Cancel', callback_data: 'chpost_cancel' }]
+            ]
+          }
+        }
+      );
+    }
+    
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+    await bot.answerCallbackQuery(callbackQuery.id, { text: 'Retracting...' });
+    
+    const { post, channel, rolledBackTo, results } = await retractChannelPost(postId);
+    callbackQuery.audit.before = { channel: channel.key, postId, sequenceNumber: post.sequenceNumber };
+    callbackQuery.audit.after = { channel: channel.key, postId, retracted: true, lastPostedSequence: rolledBackTo };
+    let message = `✅ Sequence ${post.sequenceNumber} retracted\n\n${results.join('\n')}`;
+    
+    if (action === 'retract' && rolledBackTo === null && !isTestPost(post)) {
+      message += `\n\n⚠️ Sequence ${post.sequenceNumber} is below the last posted sequence, so the queue won't post it again. ` +
+        `Move it up with /move_sequence ${post.sequenceNumber} <to> if it should go out later.`;
+    }
+    
+    if (action === 'repost') {
+      const result = await repostSequence(channel, post.sequenceNumber, rolledBackTo);
+      callbackQuery.audit.after.reposted = Boolean(result);
+      message += result
+        ? `\n\n🔁 Reposted:\n${result.results.join('\n')}`
+        : `\n\n⚠️ Repost skipped - sequence ${post.sequenceNumber} has no unposted files.`;
+    }
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Channel post retract error:', error);
+    callbackQuery.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+module.exports = { retractChannelPost, repostSequence };
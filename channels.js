@@ -0,0 +1,272 @@
+// Channel registry for StitchVault Bot
+// One bot can run several channels, each with its own reward queue, milestone size,
+// auto-post interval, member count and posting history. The primary channel comes from
+// CHANNEL_ID and /settings and also drives the referral flow; the others are added with /add_channel.
+// Admin commands act on the channel picked with /use_channel.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { getSetting, onSettingChange } = require('./settings');
+
+// Short lowercase keys, so they fit in callback data and commands
+const CHANNEL_KEY_PATTERN = /^[a-z0-9]{1,16}$/;
+
+// Channel Schema
+const channelSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  chatId: { type: String, required: true, unique: true },
+  username: String,
+  title: String,
+  invitesPerReward: { type: Number, default: 2 },
+  autoPostHours: { type: Number, default: 24 },
+  isPrimary: { type: Boolean, default: false },
+  addedBy: Number,
+  addedAt: { type: Date, default: Date.now }
+});
+
+const Channel = mongoose.model('Channel', channelSchema);
+
+// Admin Channel Schema - the channel each admin's commands act on
+const adminChannelSchema = new mongoose.Schema({
+  adminId: { type: Number, required: true, unique: true },
+  channel: { type: String, required: true }
+});
+
+const AdminChannel = mongoose.model('AdminChannel', adminChannelSchema);
+
+function channelLabel(channel) {
+  return channel.username ? `@${channel.username}` : channel.title || channel.key;
+}
+
+async function getChannels() {
+  return Channel.find().sort({ isPrimary: -1, addedAt: 1 });
+}
+
+async function getChannel(key) {
+  return Channel.findOne({ key });
+}
+
+async function getPrimaryChannel() {
+  return Channel.findOne({ key: PRIMARY_CHANNEL_KEY });
+}
+
+async function getChannelByChatId(chatId) {
+  return Channel.findOne({ chatId: chatId.toString() });
+}
+
+// The admin's chosen channel, or the primary one when none was chosen (or it was removed)
+async function getAdminChannel(adminId) {
+  const choice = await AdminChannel.findOne({ adminId });
+  const channel = choice && await getChannel(choice.channel);
+  return channel || getPrimaryChannel();
+}
+
+// The primary channel mirrors CHANNEL_ID and the live settings
+async function syncPrimaryChannel() {
+  await Channel.findOneAndUpdate(
+    { key: PRIMARY_CHANNEL_KEY },
+    {
+      chatId: CHANNEL_ID,
+      username: getSetting('channelUsername'),
+      invitesPerReward: getSetting('invitesPerReward'),
+      autoPostHours: getSetting('autoPostHours'),
+      isPrimary: true
+    },
+    { upsert: true }
+  );
+}
+
+onSettingChange(key => {
+  if (['channelUsername', 'invitesPerReward', 'autoPostHours'].includes(key)) {
+    return syncPrimaryChannel();
+  }
+});
+
+// Runs on every start, after loadSettings. Rewards, posts and stats saved before
+// channels existed belong to the primary channel.
+async function ensureChannels() {
+  await syncPrimaryChannel();
+  
+  for (const model of [Reward, ChannelPost, Stats]) {
+    const result = await model.updateMany({ channel: { $exists: false } }, { $set: { channel: PRIMARY_CHANNEL_KEY } });
+    if (result.modifiedCount > 0) {
+      console.log(`Assigned ${result.modifiedCount} ${model.modelName} documents to channel ${PRIMARY_CHANNEL_KEY}`);
+    }
+  }
+}
+
+async function describeChannel(channel, selectedKey) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const pending = await Reward.countDocuments({ channel: channel.key, posted: false, sequenceNumber: { $gt: 0 } });
+  
+  return (
+    `${channel.key === selectedKey ? '👉 ' : ''}${channel.key}${channel.isPrimary ? ' (primary)' : ''} - ${channelLabel(channel)}\n` +
+    `Chat: ${channel.chatId}\n` +
+    `Members: ${stats.communityMemberCount || 0} | Every ${channel.invitesPerReward} unlocks a post\n` +
+    `Auto-post: every ${channel.autoPostHours}h | Last posted: ${stats.lastPostedSequence || 0} | Pending files: ${pending}\n`
+  );
+}
+
+commandRouter.register('channels', { permission: 'view' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const channels = await getChannels();
+    const selected = await getAdminChannel(msg.from.id);
+    
+    let message = `📺 Channels\n\n`;
+    for (const channel of channels) {
+      message += `${await describeChannel(channel, selected.key)}\n`;
+    }
+    message += `Admin commands act on the 👉 channel. Switch with /use_channel <key>`;
+    
+    await bot.sendMessage(chatId, message, {
+      reply_markup: {
+        inline_keyboard: [channels.map(channel => ({
+          text: `${channel.key === selected.key ? '• ' : ''}${channel.key}`,
+          callback_data: `chan_use_${channel.key}`
+        }))]
+      }
+    });
+  } catch (error) {
+    console.error('Channels list error:', error);
+    bot.sendMessage(chatId, 'Error fetching channels.');
+  }
+});
+
+async function selectChannel(adminId, key) {
+  const channel = await getChannel(key);
+  if (!channel) return null;
+  
+  await AdminChannel.findOneAndUpdate({ adminId }, { channel: key }, { upsert: true });
+  return channel;
+}
+
+commandRouter.register('use_channel', {
+  permission: 'view',
+  args: /^([a-z0-9]+)$/i,
+  usage: '/use_channel <key>  (see /channels)'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const channel = await selectChannel(msg.from.id, match[1].toLowerCase());
+    if (!channel) {
+      return bot.sendMessage(chatId, `❌ No channel "${match[1]}". See /channels`);
+    }
+    
+    bot.sendMessage(chatId, `✅ Admin commands now act on ${channel.key} (${channelLabel(channel)}).`);
+  } catch (error) {
+    console.error('Use channel error:', error);
+    bot.sendMessage(chatId, 'Error switching channel.');
+  }
+});
+
+commandRouter.registerCallback('chan_use_', { permission: 'view' }, async (callbackQuery, key) => {
+  const channel = await selectChannel(callbackQuery.from.id, key);
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: channel ? `Now acting on ${channel.key}` : 'Channel not found',
+    show_alert: !channel
+  });
+});
+
+commandRouter.register('add_channel', {
+  permission: 'channels',
+  audit: true,
+  args: /^([a-z0-9]+)\s+(-?\d+|@\w+)(?:\s+(\d+))?(?:\s+(\d+))?$/i,
+  usage:
+    `/add_channel <key> <chat id|@username> [members per reward] [auto-post hours]\n` +
+    `Key: up to 16 lowercase letters or digits, e.g. "patterns"\n` +
+    `The bot must be an admin of the channel first.`
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const key = match[1].toLowerCase();
+  
+  try {
+    if (!CHANNEL_KEY_PATTERN.test(key)) {
+      return bot.sendMessage(chatId, '❌ Keys are up to 16 lowercase letters or digits.');
+    }
+    if (await getChannel(key)) {
+      return bot.sendMessage(chatId, `❌ Channel "${key}" already exists.`);
+    }
+    
+    // Resolves @username to the numeric id and proves the bot can see the channel
+    const chat = await bot.getChat(match[2]);
+    const botInfo = await bot.getMe();
+    const botMember = await bot.getChatMember(chat.id, botInfo.id);
+    if (botMember.status !== 'administrator') {
+      return bot.sendMessage(chatId, `❌ The bot is not an admin of ${chat.title || match[2]}.`);
+    }
+    if (await getChannelByChatId(chat.id)) {
+      return bot.sendMessage(chatId, `❌ ${chat.title || match[2]} is already registered.`);
+    }
+    
+    const channel = await Channel.create({
+      key,
+      chatId: chat.id.toString(),
+      username: chat.username || null,
+      title: chat.title,
+      invitesPerReward: parseInt(match[3]) || getSetting('invitesPerReward'),
+      autoPostHours: parseInt(match[4]) || getSetting('autoPostHours'),
+      addedBy: msg.from.id
+    });
+    msg.audit.after = channel.toObject();
+    
+    bot.sendMessage(chatId,
+      `✅ Channel added!\n\n` +
+      `${await describeChannel(channel)}\n` +
+      `Switch to it with /use_channel ${key}, then upload its rewards with /bulk_upload_files.`
+    );
+  } catch (error) {
+    console.error('Add channel error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ Could not add channel: ${error.message}`);
+  }
+});
+
+commandRouter.register('channel_set', {
+  permission: 'channels',
+  audit: true,
+  args: /^([a-z0-9]+)\s+(invites|hours)\s+(\d+)$/i,
+  usage: '/channel_set <key> <invites|hours> <number>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const key = match[1].toLowerCase();
+  const field = match[2].toLowerCase() === 'invites' ? 'invitesPerReward' : 'autoPostHours';
+  const value = parseInt(match[3]);
+  
+  try {
+    if (key === PRIMARY_CHANNEL_KEY) {
+      return bot.sendMessage(chatId, '❌ The primary channel is configured with /settings.');
+    }
+    if (value < 1) {
+      return bot.sendMessage(chatId, '❌ The value must be at least 1.');
+    }
+    
+    const previous = await Channel.findOne({ key });
+    const channel = await Channel.findOneAndUpdate({ key }, { [field]: value }, { new: true });
+    if (!channel) {
+      msg.audit.error = 'Channel not found';
+      return bot.sendMessage(chatId, `❌ No channel "${key}". See /channels`);
+    }
+    msg.audit.before = { channel: key, [field]: previous[field] };
+    msg.audit.after = { channel: key, [field]: value };
+    
+    bot.sendMessage(chatId, `✅ Updated!\n\n${await describeChannel(channel)}`);
+  } catch (error) {
+    console.error('Channel set error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, 'Error updating channel.');
+  }
+});
+
+module.exports = {
+  Channel,
+  channelLabel,
+  getChannels,
+  getChannel,
+  getPrimaryChannel,
+  getChannelByChatId,
+  getAdminChannel,
+  ensureChannels
+};
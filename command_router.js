@@ -0,0 +1,202 @@
+// Central command dispatcher for StitchVault Bot
+// Parses "/cmd@BotUsername args", routes each message to exactly one handler and
+// applies the permission and blocked-user checks in one place.
+// Inline button callbacks are routed the same way, by callback_data prefix.
+
+const COMMAND_PATTERN = /^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/;
+
+function parseCommand(text) {
+  if (!text || !text.startsWith('/')) return null;
+  
+  const match = text.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+  
+  return {
+    name: match[1].toLowerCase(),
+    botUsername: match[2] || null,
+    args: (match[3] || '').trim()
+  };
+}
+
+// Levenshtein distance, used for "did you mean" hints
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous.splice(0, previous.length, ...current);
+  }
+  
+  return previous[b.length];
+}
+
+// isAdmin(userId)                  - true for any staff role (skips the blocked-user check)
+// hasPermission(userId, permission) - see roles.js
+// onDenied({ userId, action, permission }) - called for every refused command or button
+// onAudit(entry) - called after every run of an audited command or button, even when it failed
+function createCommandRouter(bot, { botUsername, isAdmin, hasPermission, onDenied, onAudit, checkUserBlocked }) {
+  const commands = new Map();
+  const callbacks = [];
+  
+  // options.permission - permission needed to run it (see roles.js); omit for public commands
+  // options.args       - regex the argument text must match; its match is passed to the handler
+  // options.usage      - reply shown when the arguments don't match
+  // options.audit      - log every run; the handler fills msg.audit (see runAudited)
+  function register(name, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+    
+    const key = name.toLowerCase();
+    if (commands.has(key)) {
+      throw new Error(`Command /${key} is already registered`);
+    }
+    
+    commands.set(key, { name: key, handler, ...options });
+  }
+  
+  // Handler receives (callbackQuery, rest) where rest is callback_data without the prefix
+  function registerCallback(prefix, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+    
+    callbacks.push({ prefix, handler, ...options });
+    // Longest prefix wins, so "admin_unblock_" is never shadowed by a shorter one
+    callbacks.sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+  
+  // The handler gets a record to fill in: audit.before / audit.after are snapshots of what it
+  // changes, audit.error marks a failure it handled itself. A thrown error counts as a failure too.
+  // Setting audit.action / audit.args replaces what is logged as the command (e.g. for a button).
+  async function runAudited(entry, run) {
+    const audit = { before: null, after: null, error: null };
+    try {
+      await run(audit);
+    } catch (error) {
+      audit.error = error.message;
+      throw error;
+    } finally {
+      await onAudit({ ...entry, ...audit });
+    }
+  }
+  
+  function suggest(name, userId) {
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const command of commands.values()) {
+      if (command.permission && !hasPermission(userId, command.permission)) continue;
+      
+      // A typed prefix such as /bulk counts as a near miss
+      const distance = command.name.startsWith(name) ? 1 : editDistance(name, command.name);
+      
+      if (distance < bestDistance) {
+        best = command.name;
+        bestDistance = distance;
+      }
+    }
+    
+    return bestDistance <= 2 ? best : null;
+  }
+  
+  async function handleMessage(msg) {
+    const parsed = parseCommand(msg.text);
+    if (!parsed || !msg.from) return;
+    
+    // Commands addressed to another bot in a group
+    if (parsed.botUsername && parsed.botUsername.toLowerCase() !== botUsername.toLowerCase()) return;
+    
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const userIsAdmin = isAdmin(userId);
+    const command = commands.get(parsed.name);
+    
+    try {
+      if (!command) {
+        if (msg.chat.type !== 'private') return;
+        
+        const suggestion = suggest(parsed.name, userId);
+        return bot.sendMessage(chatId,
+          `❓ Unknown command /${parsed.name}.\n` +
+          (suggestion ? `Did you mean /${suggestion}?` : `See /help for available commands.`)
+        );
+      }
+      
+      if (command.permission && !hasPermission(userId, command.permission)) {
+        await onDenied({ userId, action: `/${command.name}`, permission: command.permission });
+        return bot.sendMessage(chatId, userIsAdmin
+          ? `🚫 Your role can't use /${command.name} (needs "${command.permission}" permission).`
+          : 'Not authorized.'
+        );
+      }
+      
+      if (!userIsAdmin && await checkUserBlocked(userId)) {
+        return bot.sendMessage(chatId, 'You are restricted from using this bot.');
+      }
+      
+      let match = [parsed.args];
+      if (command.args) {
+        match = parsed.args.match(command.args);
+        if (!match) {
+          return bot.sendMessage(chatId, `Usage: ${command.usage || `/${command.name}`}`);
+        }
+      }
+      
+      if (command.audit) {
+        await runAudited({ userId, action: `/${command.name}`, args: parsed.args }, audit => {
+          msg.audit = audit;
+          return command.handler(msg, match);
+        });
+      } else {
+        await command.handler(msg, match);
+      }
+    
+    } catch (error) {
+      console.error(`Command /${parsed.name} error:`, error);
+    }
+  }
+  
+  // Returns true when the query matched a registered prefix, so the caller can skip it
+  async function handleCallback(callbackQuery) {
+    const data = callbackQuery.data || '';
+    const entry = callbacks.find(callback => data.startsWith(callback.prefix));
+    if (!entry) return false;
+    
+    if (entry.permission && !hasPermission(callbackQuery.from.id, entry.permission)) {
+      await onDenied({ userId: callbackQuery.from.id, action: `button ${entry.prefix}`, permission: entry.permission });
+      await bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Not authorized' });
+      return true;
+    }
+    
+    const rest = data.slice(entry.prefix.length);
+    
+    try {
+      if (entry.audit) {
+        await runAudited({ userId: callbackQuery.from.id, action: `button ${entry.prefix}`, args: rest }, audit => {
+          callbackQuery.audit = audit;
+          return entry.handler(callbackQuery, rest);
+        });
+      } else {
+        await entry.handler(callbackQuery, rest);
+      }
+    } catch (error) {
+      console.error(`Callback ${entry.prefix} error:`, error);
+      bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Error occurred' }).catch(() => {});
+    }
+    
+    return true;
+  }
+  
+  bot.on('message', handleMessage);
+  
+  return { register, registerCallback, handleMessage, handleCallback, parseCommand, suggest };
+}
+
+module.exports = { createCommandRouter, parseCommand };
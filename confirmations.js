@@ -0,0 +1,168 @@
+// Confirm and undo for destructive admin commands
+// A dangerous command only asks (confirmAction); the change runs when the same admin presses
+// Confirm within CONFIRM_SECONDS. Right before it runs, the action's snapshot is saved so /undo
+// can put things back for UNDO_MINUTES. Each action is defined once with defineUndoableAction.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+
+const CONFIRM_SECONDS = parseInt(process.env.CONFIRM_SECONDS) || 60;
+const UNDO_MINUTES = parseInt(process.env.UNDO_MINUTES) || 10;
+// Expired undo entries are kept a day for reference, then removed by MongoDB
+const UNDO_PURGE_SECONDS = 24 * 60 * 60;
+
+// Undo Entry Schema - one per confirmed action
+const undoEntrySchema = new mongoose.Schema({
+  adminId: { type: Number, required: true },
+  type: { type: String, required: true },
+  command: String,
+  snapshot: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  undoneAt: { type: Date, default: null }
+});
+
+undoEntrySchema.index({ adminId: 1, createdAt: -1 });
+undoEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: UNDO_PURGE_SECONDS });
+
+const UndoEntry = mongoose.model('UndoEntry', undoEntrySchema);
+
+// type -> { command, permission, snapshot(params), apply(params), restore(snapshot) }
+// apply returns { message, after }; restore returns the reply text
+const undoableActions = new Map();
+
+// Prompts waiting for a button: id -> { adminId, type, params, expiresAt }
+const pendingConfirmations = new Map();
+
+function defineUndoableAction(type, definition) {
+  if (undoableActions.has(type)) {
+    throw new Error(`Undoable action ${type} is already defined`);
+  }
+  undoableActions.set(type, definition);
+}
+
+// Send the Confirm / Cancel prompt for a defined action
+async function confirmAction(msg, type, params, prompt) {
+  const id = Math.random().toString(36).substring(2, 10);
+  pendingConfirmations.set(id, {
+    adminId: msg.from.id,
+    type,
+    params,
+    expiresAt: Date.now() + CONFIRM_SECONDS * 1000
+  });
+  setTimeout(() => pendingConfirmations.delete(id), CONFIRM_SECONDS * 1000);
+  
+  return bot.sendMessage(msg.chat.id,
+    `${prompt}\n\n⏳ Expires in ${CONFIRM_SECONDS} seconds. You can /undo for ${UNDO_MINUTES} minutes after confirming.`,
+    {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Confirm', callback_data: `confirm_ok_${id}` },
+          { text: '❌ Cancel', callback_data: `confirm_no_${id}` }
+        ]]
+      }
+    }
+  );
+}
+
+// Only the admin who asked can answer, and only before the prompt expires
+commandRouter.registerCallback('confirm_', { permission: 'view', audit: true }, async (callbackQuery, rest) => {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const [, answer, id] = rest.match(/^(ok|no)_(\w+)$/) || [];
+  const pending = pendingConfirmations.get(id);
+  
+  if (!pending || pending.expiresAt < Date.now()) {
+    callbackQuery.audit.error = 'Confirmation expired';
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+    return bot.answerCallbackQuery(callbackQuery.id, { text: '⌛ Expired - run the command again.', show_alert: true });
+  }
+  if (pending.adminId !== callbackQuery.from.id) {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Only the admin who ran the command can confirm it.', show_alert: true });
+  }
+  
+  pendingConfirmations.delete(id);
+  await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+  
+  const action = undoableActions.get(pending.type);
+  // The role may have changed since the prompt was sent
+  if (!hasPermission(callbackQuery.from.id, action.permission)) {
+    callbackQuery.audit.error = `Needs ${action.permission} permission`;
+    return bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Not authorized', show_alert: true });
+  }
+  callbackQuery.audit.action = action.command;
+  callbackQuery.audit.args = JSON.stringify(pending.params);
+  
+  if (answer === 'no') {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Cancelled - nothing changed' });
+  }
+  
+  await bot.answerCallbackQuery(callbackQuery.id, { text: 'Working...' });
+  
+  try {
+    const snapshot = await action.snapshot(pending.params);
+    callbackQuery.audit.before = snapshot;
+    
+    const result = await action.apply(pending.params);
+    callbackQuery.audit.after = result.after;
+    
+    await UndoEntry.create({
+      adminId: pending.adminId,
+      type: pending.type,
+      command: action.command,
+      snapshot,
+      expiresAt: new Date(Date.now() + UNDO_MINUTES * 60 * 1000)
+    });
+    
+    await bot.sendMessage(chatId, `${result.message}\n\n↩️ Changed your mind? /undo within ${UNDO_MINUTES} minutes.`);
+  } catch (error) {
+    console.error(`Confirmed ${pending.type} error:`, error);
+    callbackQuery.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ ${action.command} failed: ${error.message}`);
+  }
+});
+
+commandRouter.register('undo', { permission: 'view', audit: true }, async (msg) => {
+  const chatId = msg.chat.id;
+  const adminId = msg.from.id;
+  
+  try {
+    const entry = await UndoEntry.findOne({ adminId, undoneAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+    if (!entry) {
+      msg.audit.error = 'Nothing to undo';
+      return bot.sendMessage(chatId, `Nothing to undo. Only your own actions from the last ${UNDO_MINUTES} minutes can be undone.`);
+    }
+    
+    const action = undoableActions.get(entry.type);
+    if (!hasPermission(adminId, action.permission)) {
+      msg.audit.error = `Needs ${action.permission} permission`;
+      return bot.sendMessage(chatId, `🚫 Your role can no longer undo ${entry.command}.`);
+    }
+    
+    // Claim it first, so two /undo commands cannot both restore it
+    const claimed = await UndoEntry.findOneAndUpdate({ _id: entry._id, undoneAt: null }, { undoneAt: new Date() });
+    if (!claimed) {
+      msg.audit.error = 'Already undone';
+      return bot.sendMessage(chatId, 'That action was already undone.');
+    }
+    
+    msg.audit.before = { undoing: entry.command, at: entry.createdAt };
+    let message;
+    try {
+      message = await action.restore(entry.snapshot);
+    } catch (error) {
+      // Leave it undoable so the admin can try again
+      await UndoEntry.updateOne({ _id: entry._id }, { undoneAt: null });
+      throw error;
+    }
+    msg.audit.after = entry.snapshot;
+    
+    bot.sendMessage(chatId, `↩️ Undid ${entry.command} from ${entry.createdAt.toLocaleTimeString()}\n\n${message}`);
+  } catch (error) {
+    console.error('Undo error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ Undo failed: ${error.message}`);
+  }
+});
+
+module.exports = { UndoEntry, CONFIRM_SECONDS, UNDO_MINUTES, defineUndoableAction, confirmAction };
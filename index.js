@@ -3,6 +3,7 @@ const TelegramBot = require('node-telegram-bot-api');
 const mongoose = require('mongoose');
 const express = require('express');
 const cron = require('node-cron');
+const { createCommandRouter } = require('./command_router');
 
 // Initialize Express for health checks
 const app = express();
@@ -20,17 +21,18 @@ app.listen(PORT, () => {
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const MONGO_URI = process.env.MONGO_URI;
 const CHANNEL_ID = process.env.CHANNEL_ID;
-const CHANNEL_USERNAME = process.env.CHANNEL_USERNAME || 'stitchvault';
-const ADMIN_IDS = process.env.ADMIN_IDS ? process.env.ADMIN_IDS.split(',').map(id => parseInt(id)) : [];
-const INVITES_PER_REWARD = parseInt(process.env.INVITES_PER_REWARD) || 2;
+// Key of the env-configured channel among the channels in channels.js
+const PRIMARY_CHANNEL_KEY = process.env.CHANNEL_KEY || 'main';
 const BOT_USERNAME = process.env.BOT_USERNAME || 'StitchVaultBot';
-const AUTO_POST_HOURS = parseInt(process.env.AUTO_POST_HOURS) || 24;
+// CHANNEL_USERNAME, ADMIN_IDS, INVITES_PER_REWARD and AUTO_POST_HOURS are only defaults - see settings.js
+// When true, a missing sequence number is skipped instead of stopping the posting queue
+const SKIP_SEQUENCE_GAPS = process.env.SKIP_SEQUENCE_GAPS === 'true';
 
-// Initialize bot
+// Initialize bot. Polling starts once settings, roles and channels are loaded (see below)
 const bot = new TelegramBot(BOT_TOKEN, { 
   polling: {
     interval: 1000,
-    autoStart: true,
+    autoStart: false,
     params: {
       timeout: 10,
       allowed_updates: ['message', 'callback_query', 'chat_member', 'my_chat_member', 'document', 'photo']
@@ -38,14 +40,36 @@ const bot = new TelegramBot(BOT_TOKEN, {
   }
 });
 
-global.bulkUploadSessions = {};
+// All slash commands go through one dispatcher (see command_router.js)
+const commandRouter = createCommandRouter(bot, {
+  botUsername: BOT_USERNAME,
+  isAdmin,
+  hasPermission,
+  // roles.js and audit_log.js are loaded further down
+  onDenied: attempt => recordDeniedAttempt(attempt),
+  onAudit: entry => recordAuditEntry(entry),
+  checkUserBlocked
+});
+
 const welcomeCooldown = new Set();
 
 // MongoDB connection
 mongoose.connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+    await loadSettings();
+    await loadRoles();
+    await ensureChannels();
     setupChatMemberUpdates();
+    recoverBulkSessions();
+    recoverScheduledPosts();
+    resumeBroadcasts();
+    runStartupRewardAudit();
+    
+    // Only now: updates and cron runs before this would see no channels and no roles
+    await bot.startPolling();
+    scheduleCronJobs();
+    console.log('Polling and scheduled jobs started');
   })
   .catch(err => {
     console.error('MongoDB connection error:', err);
@@ -76,7 +100,20 @@ const userSchema = new mongoose.Schema({
   joinedAt: { type: Date, default: Date.now },
   lastActivity: { type: Date, default: Date.now },
   isBlocked: { type: Boolean, default: false },
-  bonusReceived: { type: Boolean, default: false }
+  bonusReceived: { type: Boolean, default: false },
+  claimedTiers: { type: [Number], default: [] }, // Personal reward tiers already delivered, see personal_rewards.js
+  // Referral hold and revocation, see referral_guard.js
+  referralHeldAt: { type: Date, default: null },
+  referralCountedAt: { type: Date, default: null },
+  referralRevoked: { type: Boolean, default: false },
+  // Set on referrers flagged by the fraud heuristics
+  referralReview: {
+    status: { type: String, enum: ['pending', 'cleared', 'penalized'] },
+    reasons: [String],
+    flaggedAt: Date,
+    reviewedBy: Number,
+    reviewedAt: Date
+  }
 });
 
 const User = mongoose.model('User', userSchema);
@@ -84,12 +121,15 @@ const User = mongoose.model('User', userSchema);
 // Reward Schema
 const rewardSchema = new mongoose.Schema({
   rewardId: { type: Number, required: true, unique: true },
+  channel: { type: String, default: PRIMARY_CHANNEL_KEY }, // Channel key, see channels.js
   sequenceNumber: { type: Number, required: true },
   fileName: String,
   filePath: String,
   imageName: String,
   imagePath: String,
   description: String,
+  captionTemplate: { type: String, default: null }, // Overrides the global caption for this sequence
+  itemKey: { type: String, default: '' }, // Orders several files of one kind: "a" for 3_a.jpg, "part1" for 3.part1.rar
   addedBy: Number,
   addedAt: { type: Date, default: Date.now },
   isImageFile: { type: Boolean, default: false },
@@ -97,22 +137,34 @@ const rewardSchema = new mongoose.Schema({
   postedAt: { type: Date, default: null }
 });
 
+rewardSchema.index({ channel: 1, sequenceNumber: 1 });
+
 const Reward = mongoose.model('Reward', rewardSchema);
 
 // Channel Post Schema
 const channelPostSchema = new mongoose.Schema({
   postId: { type: String, required: true, unique: true },
+  channel: { type: String, default: PRIMARY_CHANNEL_KEY },
   sequenceNumber: Number,
   imageMessageId: Number,
   fileMessageId: Number,
   sentAt: { type: Date, default: Date.now },
-  memberCountAtPost: { type: Number, default: 0 }
+  memberCountAtPost: { type: Number, default: 0 },
+  isTest: Boolean, // /test_next post; unset on posts saved before this field existed, see isTestPost
+  messageIds: { type: [Number], default: [] }, // Every channel message of the post, albums included
+  retractedAt: { type: Date, default: null }
 });
 
 const ChannelPost = mongoose.model('ChannelPost', channelPostSchema);
 
-// Stats Schema - UPDATED with lastAutoPostCheck
+// Older posts have no isTest; back then test posts were the ones saved with 0 members
+function isTestPost(post) {
+  return post.isTest ?? post.memberCountAtPost === 0;
+}
+
+// Stats Schema - one document per channel
 const statsSchema = new mongoose.Schema({
+  channel: { type: String, default: PRIMARY_CHANNEL_KEY, unique: true },
   totalUsers: { type: Number, default: 0 },
   totalInvites: { type: Number, default: 0 },
   totalRewards: { type: Number, default: 0 },
@@ -121,6 +173,7 @@ const statsSchema = new mongoose.Schema({
   lastAutoPostCheck: { type: Date, default: null }, // NEW: Track last auto-post check
   lastPostedSequence: { type: Number, default: 0 },
   communityMemberCount: { type: Number, default: 0 },
+  captionTemplate: { type: String, default: null }, // Global channel caption, see post_captions.js
   lastUpdated: { type: Date, default: Date.now }
 });
 
@@ -128,21 +181,58 @@ const Stats = mongoose.model('Stats', statsSchema);
 
 // Export globals
 global.bot = bot;
+global.commandRouter = commandRouter;
 global.User = User;
 global.Reward = Reward;
 global.ChannelPost = ChannelPost;
+global.isTestPost = isTestPost;
 global.Stats = Stats;
+global.CHANNEL_ID = CHANNEL_ID;
+global.PRIMARY_CHANNEL_KEY = PRIMARY_CHANNEL_KEY;
+global.BOT_USERNAME = BOT_USERNAME;
+global.SKIP_SEQUENCE_GAPS = SKIP_SEQUENCE_GAPS;
+global.notifyAdmins = notifyAdmins;
+global.isAdmin = isAdmin;
+global.hasPermission = hasPermission;
+global.checkChannelMembership = checkChannelMembership;
+global.updateStats = updateStats;
+global.isImageFileType = isImageFileType;
+global.sendRewardFile = sendRewardFile;
+global.sendNextToChannel = sendNextToChannel;
+global.postSequenceToChannel = postSequenceToChannel;
+global.findNextSequence = findNextSequence;
+global.claimSequenceRewards = claimSequenceRewards;
+global.compareRewardItems = compareRewardItems;
+global.sendRewardsToChannel = sendRewardsToChannel;
+global.unclaimReward = unclaimReward;
+global.sendMilestoneMessage = sendMilestoneMessage;
+global.claimPostingSlot = claimPostingSlot;
+global.releasePostingSlot = releasePostingSlot;
 
 // Helper functions
 function generateReferralCode(userId) {
   return `ref_${userId}_${Math.random().toString(36).substring(2, 8)}`;
 }
 
+// Any staff role - owners and everyone granted a role with /grant
 function isAdmin(userId) {
-  return ADMIN_IDS.includes(userId);
+  return getRole(userId) !== null;
+}
+
+function hasPermission(userId, permission) {
+  return roleHasPermission(getRole(userId), permission);
 }
 
-global.isAdmin = isAdmin;
+
+async function notifyAdmins(message) {
+  for (const adminId of getSetting('adminIds')) {
+    try {
+      await bot.sendMessage(adminId, message);
+    } catch (error) {
+      console.error(`Error notifying admin ${adminId}:`, error);
+    }
+  }
+}
 
 async function updateUserActivity(userId) {
   await User.findOneAndUpdate(
@@ -156,20 +246,22 @@ async function updateStats() {
   const totalInvites = await User.aggregate([
     { $group: { _id: null, total: { $sum: '$inviteCount' } } }
   ]);
-  const totalRewards = await Reward.countDocuments();
   const channelMembers = await User.countDocuments({ joinedChannel: true });
   
-  await Stats.findOneAndUpdate(
-    {},
-    {
-      totalUsers,
-      totalInvites: totalInvites[0]?.total || 0,
-      totalRewards,
-      channelMembers,
-      lastUpdated: new Date()
-    },
-    { upsert: true }
-  );
+  // Users are shared by every channel; rewards are counted per channel
+  for (const channel of await getChannels()) {
+    await Stats.findOneAndUpdate(
+      { channel: channel.key },
+      {
+        totalUsers,
+        totalInvites: totalInvites[0]?.total || 0,
+        totalRewards: await Reward.countDocuments({ channel: channel.key }),
+        channelMembers,
+        lastUpdated: new Date()
+      },
+      { upsert: true }
+    );
+  }
 }
 
 async function checkChannelMembership(userId) {
@@ -198,168 +290,296 @@ function isDocumentAnImage(filename) {
   return isImageFileType(filename);
 }
 
-async function downloadAndSendAsPhoto(channelId, fileId, fileName, caption = null) {
-  try {
-    const fileInfo = await bot.getFile(fileId);
-    const fileUrl = `https://api.telegram.org/file/bot${BOT_TOKEN}/${fileInfo.file_path}`;
-    
-    const https = require('https');
-    const http = require('http');
+// Fetch a Telegram file into memory (the Bot API only serves files up to 20 MB)
+async function downloadTelegramFile(fileId) {
+  const fileInfo = await bot.getFile(fileId);
+  const fileUrl = `https://api.telegram.org/file/bot${BOT_TOKEN}/${fileInfo.file_path}`;
+  
+  const https = require('https');
+  const http = require('http');
+  
+  return new Promise((resolve, reject) => {
+    const protocol = fileUrl.startsWith('https:') ? https : http;
     
-    return new Promise((resolve, reject) => {
-      const protocol = fileUrl.startsWith('https:') ? https : http;
+    protocol.get(fileUrl, (response) => {
+      if (response.statusCode !== 200) {
+        reject(new Error(`Download failed: ${response.statusCode}`));
+        return;
+      }
       
-      protocol.get(fileUrl, (response) => {
-        if (response.statusCode !== 200) {
-          reject(new Error(`Download failed: ${response.statusCode}`));
-          return;
-        }
-        
-        const chunks = [];
-        response.on('data', (chunk) => chunks.push(chunk));
-        response.on('end', async () => {
-          try {
-            const buffer = Buffer.concat(chunks);
-            const photoMessage = await bot.sendPhoto(channelId, buffer, {
-              caption: caption,
-              filename: fileName
-            });
-            resolve(photoMessage);
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }).on('error', reject);
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+    }).on('error', reject);
+  });
+}
+
+async function downloadAndSendAsPhoto(channelId, fileId, fileName, caption = null) {
+  try {
+    const buffer = await downloadTelegramFile(fileId);
+    return await bot.sendPhoto(channelId, buffer, {
+      caption: caption,
+      filename: fileName
     });
   } catch (error) {
     throw new Error(`Download and send failed: ${error.message}`);
   }
 }
 
-// CORE FUNCTION: Post next file in sequence to channel
-async function sendNextToChannel(memberCount, isTest = false, isManual = false) {
+// Previews first, then each kind in item order ("3_a" before "3_b", "part2" before "part10")
+function compareRewardItems(a, b) {
+  return (a.sequenceNumber - b.sequenceNumber) ||
+    (b.isImageFile - a.isImageFile) ||
+    (a.itemKey || '').localeCompare(b.itemKey || '', undefined, { numeric: true });
+}
+
+function isPhotoReward(reward) {
+  return reward.isImageFile || isDocumentAnImage(reward.fileName);
+}
+
+// InputMedia for one reward. Photos are re-uploaded from a download because previews
+// may have been stored as document file ids, which Telegram won't accept as photos.
+async function rewardMedia(reward, type, caption = null) {
+  const fileId = reward.imagePath || reward.filePath;
+  const item = { type, caption: caption || undefined };
+  
+  if (type === 'photo' || reward.isImageFile) {
+    item.media = await downloadTelegramFile(fileId);
+    item.fileOptions = { filename: reward.fileName };
+  } else {
+    item.media = fileId;
+  }
+  return item;
+}
+
+// One media group of up to 10 rewards. Photo albums carry the caption on the first item;
+// document albums show each caption under its own file, so there it goes on the last one.
+async function sendRewardGroup(channel, rewards, type, caption) {
+  const captionIndex = type === 'photo' ? 0 : rewards.length - 1;
+  const media = [];
+  for (let i = 0; i < rewards.length; i++) {
+    media.push(await rewardMedia(rewards[i], type, i === captionIndex ? caption : null));
+  }
+  
+  const messages = await bot.sendMediaGroup(channel.chatId, media);
+  return rewards.map((reward, index) => ({ reward, messageId: messages[index].message_id }));
+}
+
+// Whole sequence as a single album. Telegram can't mix photos and documents in an album,
+// so previews go out as documents too unless every download is itself an image.
+async function sendAlbumToChannel(channel, previews, downloads, caption) {
+  const type = downloads.every(isPhotoReward) ? 'photo' : 'document';
+  return sendRewardGroup(channel, [...previews, ...downloads], type, caption);
+}
+
+// Send one reward on its own: images as photos (document as fallback), everything else as a document
+async function sendSingleRewardToChannel(channel, reward, caption) {
+  const fileToSend = reward.imagePath || reward.filePath;
+  const label = reward.isImageFile ? 'Image' : 'File';
+  
+  if (isPhotoReward(reward)) {
+    try {
+      const message = await downloadAndSendAsPhoto(channel.chatId, fileToSend, reward.fileName, caption);
+      return { messageId: message.message_id, result: `✅ ${label} sent${reward.isImageFile ? '' : ' as photo'}: ${reward.fileName}` };
+    } catch (downloadError) {
+      console.error(`${label} photo send failed:`, downloadError.message);
+    }
+  }
+  
+  const message = await bot.sendDocument(channel.chatId, fileToSend, { caption });
+  return {
+    messageId: message.message_id,
+    result: isPhotoReward(reward) ? `📄 ${label} sent as document: ${reward.fileName}` : `📁 File sent: ${reward.fileName}`
+  };
+}
+
+// Send rewards of one kind, in albums of up to 10 where there are several.
+// A rejected album falls back to one message per file. Returns what was sent and what failed.
+async function sendRewardsToChannel(channel, rewards, caption, results) {
+  const sent = [];
+  const failed = [];
+  const singles = [];
+  
+  if (rewards.length > 1) {
+    const type = rewards.every(isPhotoReward) ? 'photo' : 'document';
+    
+    for (let i = 0; i < rewards.length; i += 10) {
+      const chunk = rewards.slice(i, i + 10);
+      // A media group needs at least two items
+      if (chunk.length === 1) {
+        singles.push(chunk[0]);
+        continue;
+      }
+      
+      try {
+        sent.push(...await sendRewardGroup(channel, chunk, type, caption));
+        results.push(`✅ Album sent: ${chunk.map(reward => reward.fileName).join(', ')}`);
+        caption = null;
+      } catch (albumError) {
+        console.error('Album send failed, sending one by one:', albumError.message);
+        singles.push(...chunk);
+      }
+    }
+  } else {
+    singles.push(...rewards);
+  }
+  
+  for (const reward of singles) {
+    try {
+      const { messageId, result } = await sendSingleRewardToChannel(channel, reward, caption);
+      sent.push({ reward, messageId });
+      results.push(result);
+      caption = null;
+    } catch (error) {
+      console.error(`Error sending ${reward.fileName}:`, error);
+      results.push(`❌ ${reward.isImageFile ? 'Image' : 'File'} failed: ${reward.fileName} (${error.message})`);
+      failed.push(reward);
+    }
+  }
+  
+  return { sent, failed };
+}
+
+// Next sequence to post. With SKIP_SEQUENCE_GAPS the lowest unposted sequence above the
+// last posted one is used, so a missing number doesn't stall the queue.
+// Sequences already sent out of order (scheduled posts) are stepped over either way.
+async function findNextSequence(channel, lastPosted) {
+  if (!SKIP_SEQUENCE_GAPS) {
+    let candidate = lastPosted + 1;
+    while (await Reward.exists({ channel: channel.key, sequenceNumber: candidate }) &&
+           !await Reward.exists({ channel: channel.key, sequenceNumber: candidate, posted: false })) {
+      candidate++;
+    }
+    return candidate;
+  }
+  
+  const nextReward = await Reward.findOne({
+    channel: channel.key,
+    sequenceNumber: { $gt: lastPosted },
+    posted: false
+  }).sort({ sequenceNumber: 1 });
+  
+  return nextReward ? nextReward.sequenceNumber : lastPosted + 1;
+}
+
+// Compare-and-set updates below need the channel's Stats document to exist first
+async function ensureStatsDocument(channel) {
+  await Stats.updateOne({ channel: channel.key }, { $setOnInsert: { lastPostedSequence: 0 } }, { upsert: true });
+}
+
+// Atomically move lastPostedSequence from `from` to `to`. Returns false when another
+// process (or another bot instance) already moved it, in which case the caller must not post.
+async function claimPostingSlot(channel, from, to) {
+  await ensureStatsDocument(channel);
+  
+  const result = await Stats.updateOne(
+    { channel: channel.key, lastPostedSequence: from === 0 ? { $in: [0, null] } : from },
+    { $set: { lastPostedSequence: to } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Undo claimPostingSlot when nothing ended up being posted
+async function releasePostingSlot(channel, from, to) {
+  await Stats.updateOne({ channel: channel.key, lastPostedSequence: to }, { $set: { lastPostedSequence: from } });
+}
+
+// Claim every unposted file of a sequence by flipping `posted` one update at a time, so two
+// callers can never send the same file. Test posts only read - they don't count toward the sequence.
+async function claimSequenceRewards(channel, sequenceNumber, isTest) {
+  const rewards = (await Reward.find({ channel: channel.key, sequenceNumber, posted: false })).sort(compareRewardItems);
+  if (isTest) {
+    return rewards;
+  }
+  
+  const claimed = [];
+  for (const reward of rewards) {
+    const claimedReward = await Reward.findOneAndUpdate(
+      { _id: reward._id, posted: false },
+      { posted: true, postedAt: new Date() },
+      { new: true }
+    );
+    if (claimedReward) claimed.push(claimedReward);
+  }
+  return claimed;
+}
+
+async function unclaimReward(reward, isTest) {
+  if (isTest) return;
+  await Reward.updateOne({ _id: reward._id }, { posted: false, postedAt: null });
+}
+
+async function sendMilestoneMessage(channel, memberCount) {
   try {
-    const stats = await Stats.findOne() || {};
-    const lastPosted = stats.lastPostedSequence || 0;
-    const nextSequence = lastPosted + 1;
+    const nextMilestone = Math.ceil((memberCount + 1) / channel.invitesPerReward) * channel.invitesPerReward;
+    const needed = Math.max(0, nextMilestone - memberCount);
     
-    // Find the next unposted reward
-    const imageReward = await Reward.findOne({ 
-      sequenceNumber: nextSequence, 
-      isImageFile: true,
-      posted: false 
-    });
+    const milestoneMessage = 
+      `🎯 Next content unlock: ${nextMilestone} members!\n` +
+      `👥 Current: ${memberCount}/${nextMilestone} — just ${needed} more to go!\n` +
+      `✨ Don't miss out — invite your friends now!`;
     
-    const fileReward = await Reward.findOne({ 
-      sequenceNumber: nextSequence, 
-      isImageFile: false,
-      posted: false 
-    });
+    await bot.sendMessage(channel.chatId, milestoneMessage);
+    return true;
+  } catch (error) {
+    console.error('Error sending milestone message:', error);
+    return false;
+  }
+}
+
+// Post the unposted files of one sequence to the channel and record the ChannelPost.
+// Moving lastPostedSequence is up to the caller (see claimPostingSlot).
+async function postSequenceToChannel(channel, sequenceNumber, memberCount, { isTest = false, isManual = false, skipMilestoneMessage = false } = {}) {
+  try {
+    const rewards = await claimSequenceRewards(channel, sequenceNumber, isTest);
     
-    if (!imageReward && !fileReward) {
-      console.log(`No rewards found for sequence ${nextSequence}`);
-      
-      // Notify admins if we ran out of content
-      for (const adminId of ADMIN_IDS) {
-        try {
-          await bot.sendMessage(adminId, 
-            `⚠️ No more content to post!\n\n` +
-            `Sequence ${nextSequence} has no files.\n` +
-            `Please upload more rewards.\n\n` +
-            `Current members: ${memberCount}`
-          );
-        } catch (error) {
-          console.error(`Error notifying admin:`, error);
-        }
-      }
+    if (rewards.length === 0) {
       return null;
     }
     
-    const postId = `${Date.now()}_${nextSequence}`;
-    let imageMessageId = null;
-    let fileMessageId = null;
+    const postId = `${Date.now()}_${sequenceNumber}`;
+    const previews = rewards.filter(reward => reward.isImageFile);
+    const downloads = rewards.filter(reward => !reward.isImageFile);
+    let sent = [];
+    let failed = [];
     let results = [];
     
-    // Send image first
-    if (imageReward) {
+    // Captioned and album posts carry the milestone in the caption instead of a separate message
+    const caption = POST_STYLE === 'separate'
+      ? null
+      : await buildPostCaption(channel, sequenceNumber, rewards, memberCount);
+    
+    if (POST_STYLE === 'album' && previews.length > 0 && downloads.length > 0 && rewards.length <= 10) {
       try {
-        const fileToSend = imageReward.imagePath || imageReward.filePath;
-        console.log(`Sending image ${nextSequence}: ${imageReward.fileName}`);
-        
-        const imageMessage = await downloadAndSendAsPhoto(CHANNEL_ID, fileToSend, imageReward.fileName);
-        imageMessageId = imageMessage.message_id;
-        results.push(`✅ Image sent: ${imageReward.fileName}`);
-        
-        // Mark as posted
-        imageReward.posted = true;
-        imageReward.postedAt = new Date();
-        await imageReward.save();
-        
-      } catch (downloadError) {
-        console.error('Image send failed:', downloadError.message);
-        try {
-          const fileToSend = imageReward.imagePath || imageReward.filePath;
-          const imageMessage = await bot.sendDocument(CHANNEL_ID, fileToSend);
-          imageMessageId = imageMessage.message_id;
-          results.push(`📄 Image sent as document: ${imageReward.fileName}`);
-          
-          imageReward.posted = true;
-          imageReward.postedAt = new Date();
-          await imageReward.save();
-        } catch (docError) {
-          console.error('Document fallback failed:', docError);
-          results.push(`❌ Image failed: ${docError.message}`);
-        }
+        console.log(`Sending album ${sequenceNumber}: ${rewards.map(reward => reward.fileName).join(', ')}`);
+        sent = await sendAlbumToChannel(channel, previews, downloads, caption);
+        results.push(`✅ Album sent: ${rewards.map(reward => reward.fileName).join(', ')}`);
+      } catch (albumError) {
+        console.error('Album send failed, sending separately:', albumError.message);
       }
     }
     
-    // Send file second
-    if (fileReward) {
-      try {
-        const isImageByFilename = isDocumentAnImage(fileReward.fileName);
-        
-        if (isImageByFilename) {
-          console.log(`Sending file as photo ${nextSequence}: ${fileReward.fileName}`);
-          try {
-            const fileMessage = await downloadAndSendAsPhoto(CHANNEL_ID, fileReward.filePath, fileReward.fileName);
-            fileMessageId = fileMessage.message_id;
-            results.push(`✅ File sent as photo: ${fileReward.fileName}`);
-          } catch (downloadError) {
-            const fileMessage = await bot.sendDocument(CHANNEL_ID, fileReward.filePath);
-            fileMessageId = fileMessage.message_id;
-            results.push(`📄 File sent as document: ${fileReward.fileName}`);
-          }
-        } else {
-          const fileMessage = await bot.sendDocument(CHANNEL_ID, fileReward.filePath);
-          fileMessageId = fileMessage.message_id;
-          results.push(`📁 File sent: ${fileReward.fileName}`);
-        }
-        
-        fileReward.posted = true;
-        fileReward.postedAt = new Date();
-        await fileReward.save();
-        
-      } catch (error) {
-        console.error('Error sending file reward:', error);
-        results.push(`❌ File failed: ${error.message}`);
-      }
+    // Previews first, then downloads; the caption goes on the downloads only when no preview carried it
+    if (sent.length === 0) {
+      console.log(`Sending sequence ${sequenceNumber}: ${previews.length} previews, ${downloads.length} downloads`);
+      const previewSend = await sendRewardsToChannel(channel, previews, caption, results);
+      const downloadSend = await sendRewardsToChannel(channel, downloads, previewSend.sent.length > 0 ? null : caption, results);
+      sent = [...previewSend.sent, ...downloadSend.sent];
+      failed = [...previewSend.failed, ...downloadSend.failed];
     }
     
+    for (const reward of failed) {
+      await unclaimReward(reward, isTest);
+    }
+    
+    const messageIds = sent.map(item => item.messageId);
+    const imageMessageId = sent.find(item => item.reward.isImageFile)?.messageId || null;
+    const fileMessageId = sent.find(item => !item.reward.isImageFile)?.messageId || null;
+    
     // Send milestone message
-    if ((imageMessageId || fileMessageId) && !isTest) {
-      try {
-        const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
-        const needed = Math.max(0, nextMilestone - memberCount);
-        
-        const milestoneMessage = 
-          `🎯 Next content unlock: ${nextMilestone} members!\n` +
-          `👥 Current: ${memberCount}/${nextMilestone} — just ${needed} more to go!\n` +
-          `✨ Don't miss out — invite your friends now!`;
-        
-        await bot.sendMessage(CHANNEL_ID, milestoneMessage);
+    if ((imageMessageId || fileMessageId) && !isTest && !skipMilestoneMessage && !caption) {
+      if (await sendMilestoneMessage(channel, memberCount)) {
         results.push(`📊 Milestone message sent`);
-      } catch (error) {
-        console.error('Error sending milestone message:', error);
       }
     }
     
@@ -367,18 +587,20 @@ async function sendNextToChannel(memberCount, isTest = false, isManual = false)
     if (imageMessageId || fileMessageId) {
       const channelPost = new ChannelPost({
         postId,
-        sequenceNumber: nextSequence,
+        channel: channel.key,
+        sequenceNumber: sequenceNumber,
         imageMessageId,
         fileMessageId,
-        memberCountAtPost: isTest ? 0 : memberCount
+        messageIds,
+        memberCountAtPost: memberCount,
+        isTest
       });
       await channelPost.save();
       
       // Update stats - FIXED: Update both lastChannelPost AND lastAutoPostCheck
       if (!isTest) {
         const updateData = { 
-          lastChannelPost: new Date(),
-          lastPostedSequence: nextSequence
+          lastChannelPost: new Date()
         };
         
         // Only update lastAutoPostCheck if this is NOT a manual post
@@ -386,31 +608,85 @@ async function sendNextToChannel(memberCount, isTest = false, isManual = false)
           updateData.lastAutoPostCheck = new Date();
         }
         
-        await Stats.findOneAndUpdate({}, updateData, { upsert: true });
+        await Stats.findOneAndUpdate({ channel: channel.key }, updateData, { upsert: true });
+      }
+    }
+    
+    return { imageMessageId, fileMessageId, results, nextSequence: sequenceNumber };
+  
+  } catch (error) {
+    console.error('Error in postSequenceToChannel:', error);
+    throw error;
+  }
+}
+
+// CORE FUNCTION: Post next file in sequence to channel
+async function sendNextToChannel(channel, memberCount, isTest = false, isManual = false, options = {}) {
+  try {
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    const lastPosted = stats.lastPostedSequence || 0;
+    const nextSequence = await findNextSequence(channel, lastPosted);
+    
+    if (!await Reward.exists({ channel: channel.key, sequenceNumber: nextSequence, posted: false })) {
+      console.log(`No rewards found for ${channel.key} sequence ${nextSequence}`);
+      
+      // A gap is different from running out: later sequences are waiting behind it
+      const waitingLater = await Reward.countDocuments({ channel: channel.key, sequenceNumber: { $gt: nextSequence }, posted: false });
+      
+      if (waitingLater > 0) {
+        await notifyAdmins(
+          `⛔ Posting is blocked in ${channelLabel(channel)}!\n\n` +
+          `Sequence ${nextSequence} has no files, but ${waitingLater} later files are waiting.\n` +
+          `Upload sequence ${nextSequence}, renumber the queue, or set SKIP_SEQUENCE_GAPS=true.\n` +
+          `Details: /use_channel ${channel.key}, then /audit_rewards\n\n` +
+          `Current members: ${memberCount}`
+        );
+      } else {
+        await notifyAdmins(
+          `⚠️ No more content to post in ${channelLabel(channel)}!\n\n` +
+          `Sequence ${nextSequence} has no files.\n` +
+          `Please upload more rewards.\n\n` +
+          `Current members: ${memberCount}`
+        );
       }
+      return null;
     }
     
-    return { imageMessageId, fileMessageId, results, nextSequence };
+    // Two joins in quick succession (or two bot instances) can get here together;
+    // only the one that moves the pointer posts this sequence
+    if (!isTest && !await claimPostingSlot(channel, lastPosted, nextSequence)) {
+      console.log(`${channel.key} sequence ${nextSequence} is already being posted elsewhere, skipping`);
+      return null;
+    }
     
+    let result = null;
+    try {
+      result = await postSequenceToChannel(channel, nextSequence, memberCount, { ...options, isTest, isManual });
+    } finally {
+      if (!isTest && !(result && (result.imageMessageId || result.fileMessageId))) {
+        await releasePostingSlot(channel, lastPosted, nextSequence);
+      }
+    }
+    
+    return result;
+  
   } catch (error) {
     console.error('Error in sendNextToChannel:', error);
     throw error;
   }
 }
 
-global.sendToChannel = sendNextToChannel;
-
 // FIXED: Check if we should post based on ACTUAL community member count
-async function checkMilestoneReached(memberCount) {
-  const stats = await Stats.findOne() || {};
+async function checkMilestoneReached(channel, memberCount) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
   const lastPosted = stats.lastPostedSequence || 0;
   
   // Calculate how many posts should have been made based on member count
-  const postsNeeded = Math.floor(memberCount / INVITES_PER_REWARD);
+  const postsNeeded = Math.floor(memberCount / channel.invitesPerReward);
   
   // If we need more posts than we've made, return true
   if (postsNeeded > lastPosted) {
-    console.log(`Milestone reached! Members: ${memberCount}, Posts needed: ${postsNeeded}, Last posted: ${lastPosted}`);
+    console.log(`Milestone reached in ${channel.key}! Members: ${memberCount}, Posts needed: ${postsNeeded}, Last posted: ${lastPosted}`);
     return true;
   }
   
@@ -418,99 +694,127 @@ async function checkMilestoneReached(memberCount) {
 }
 
 // Get actual channel member count from Telegram (includes bot)
-async function getChannelMemberCount() {
+async function getChannelMemberCount(channel) {
   try {
-    const memberCount = await bot.getChatMemberCount(CHANNEL_ID);
+    const memberCount = await bot.getChatMemberCount(channel.chatId);
     return memberCount || 0;
   } catch (error) {
-    console.error('Error getting channel member count:', error);
+    console.error(`Error getting ${channel.key} member count:`, error);
+    
+    // Only the primary channel's joins are tracked per user
+    if (!channel.isPrimary) {
+      const stats = await Stats.findOne({ channel: channel.key }) || {};
+      return stats.communityMemberCount || 0;
+    }
+    
     const dbCount = await User.countDocuments({ joinedChannel: true });
     console.log(`Using database count as fallback: ${dbCount} + 1 (bot) = ${dbCount + 1}`);
     return dbCount + 1;
   }
 }
 
-// FIXED: Count ALL members - both direct joins and referrals
-async function countMember(user) {
-  // Count individual referral (for user's personal stats)
-  if (user.referredBy && !user.referralCounted) {
-    const referrer = await User.findOne({ userId: user.referredBy });
-    if (referrer) {
-      referrer.inviteCount += 1;
-      await referrer.save();
-      
-      user.referralCounted = true;
-      await user.save();
-      
-      // Notify referrer
-      bot.sendMessage(referrer.userId, 
-        `✅ Referral confirmed! ${user.firstName} joined StitchVault!\n\n` +
-        `Your referrals: ${referrer.inviteCount}\n` +
-        `Keep sharing to help unlock community rewards!`
-      ).catch(() => {});
-    }
-  }
-  
+// Store a channel's real member count and post its next sequence when that reaches a milestone.
+// latestJoin is the user whose join triggered the check, when the bot knows them.
+async function checkChannelMilestone(channel, latestJoin = null) {
   // Get REAL channel subscriber count from Telegram
-  const actualMemberCount = await getChannelMemberCount();
+  const actualMemberCount = await getChannelMemberCount(channel);
   
   // Update stats with real count
   await Stats.findOneAndUpdate(
-    {},
+    { channel: channel.key },
     { communityMemberCount: actualMemberCount },
     { upsert: true }
   );
   
   // Check if milestone reached and post if needed
-  if (await checkMilestoneReached(actualMemberCount)) {
-    const result = await sendNextToChannel(actualMemberCount, false, false);
+  if (await checkMilestoneReached(channel, actualMemberCount)) {
+    const result = await sendNextToChannel(channel, actualMemberCount, false, false);
     
     // Notify admins
     if (result && result.nextSequence) {
-      for (const adminId of ADMIN_IDS) {
+      for (const adminId of getSetting('adminIds')) {
         try {
           await bot.sendMessage(adminId, 
             `🎉 Community Milestone Reached!\n\n` +
+            `Channel: ${channelLabel(channel)}\n` +
             `Total channel subscribers: ${actualMemberCount}\n` +
             `Posted sequence: ${result.nextSequence}\n` +
-            `Latest join: ${user.firstName}${user.referredBy ? ' (referred)' : ' (direct join)'}\n\n` +
+            (latestJoin ? `Latest join: ${latestJoin.firstName}${latestJoin.referredBy ? ' (referred)' : ' (direct join)'}\n` : '') +
+            `\n` +
             result.results.join('\n')
           );
         } catch (error) {
           console.error(`Error notifying admin:`, error);
         }
       }
+      
+      // Still behind after this post (e.g. after a burst of joins) - drain the rest if enabled
+      maybeStartCatchUp(channel);
     }
   }
   
   return actualMemberCount;
 }
 
-// FIXED: Auto-post every 24 hours from LAST post (not midnight)
+// FIXED: Count ALL members - both direct joins and referrals
+async function countMember(user, source = 'chat_member') {
+  await recordReferralEvent('channel_joined', user, { source });
+  
+  // Referral credit for the referrer - held first, see referral_guard.js
+  await registerReferralJoin(user);
+  
+  return checkChannelMilestone(await getPrimaryChannel(), user);
+}
+
+// FIXED: Auto-post every N hours from LAST post (not midnight), per channel
 async function checkAndSendFallback() {
+  for (const channel of await getChannels()) {
+    await checkChannelAutoPost(channel);
+  }
+}
+
+async function checkChannelAutoPost(channel) {
   try {
-    const stats = await Stats.findOne();
+    const stats = await Stats.findOne({ channel: channel.key });
     const now = new Date();
     
     // Use lastAutoPostCheck instead of lastChannelPost
     // This way manual posts don't reset the timer
     const lastCheck = stats?.lastAutoPostCheck || stats?.lastChannelPost;
     
-    const fallbackIntervalMs = AUTO_POST_HOURS * 60 * 60 * 1000;
+    const fallbackIntervalMs = channel.autoPostHours * 60 * 60 * 1000;
     
     if (!lastCheck || (now - lastCheck) >= fallbackIntervalMs) {
-      console.log(`${AUTO_POST_HOURS} hours passed since last auto-post check, sending content...`);
+      // Claim this auto-post window so another bot instance running the same cron doesn't post too
+      const previousCheck = stats?.lastAutoPostCheck || null;
+      await ensureStatsDocument(channel);
+      const claim = await Stats.updateOne(
+        { channel: channel.key, lastAutoPostCheck: previousCheck },
+        { $set: { lastAutoPostCheck: now } }
+      );
+      if (claim.modifiedCount !== 1) {
+        console.log(`${channel.key} auto-post already handled by another process`);
+        return;
+      }
+      
+      console.log(`${channel.autoPostHours} hours passed since last ${channel.key} auto-post check, sending content...`);
       
       const currentCount = stats?.communityMemberCount || 0;
-      const result = await sendNextToChannel(currentCount, false, false);
+      const result = await sendNextToChannel(channel, currentCount, false, false);
+      
+      // Nothing went out - give the window back so the next hourly check tries again
+      if (!result) {
+        await Stats.updateOne({ channel: channel.key, lastAutoPostCheck: now }, { $set: { lastAutoPostCheck: previousCheck } });
+      }
       
       if (result && result.nextSequence) {
         // Notify admins
-        for (const adminId of ADMIN_IDS) {
+        for (const adminId of getSetting('adminIds')) {
           try {
-            const hoursSincePost = lastCheck ? Math.floor((now - lastCheck) / (1000 * 60 * 60)) : AUTO_POST_HOURS;
+            const hoursSincePost = lastCheck ? Math.floor((now - lastCheck) / (1000 * 60 * 60)) : channel.autoPostHours;
             await bot.sendMessage(adminId, 
               `⏰ Auto-post triggered!\n\n` +
+              `Channel: ${channelLabel(channel)}\n` +
               `Last auto-post: ${hoursSincePost} hours ago\n` +
               `Posted sequence: ${result.nextSequence}\n` +
               `Community members: ${currentCount}\n\n` +
@@ -523,111 +827,39 @@ async function checkAndSendFallback() {
       }
     } else {
       const hoursSince = Math.floor((now - lastCheck) / (1000 * 60 * 60));
-      const hoursRemaining = AUTO_POST_HOURS - hoursSince;
-      console.log(`Auto-post check: ${hoursSince}/${AUTO_POST_HOURS} hours passed. Next post in ~${hoursRemaining} hours.`);
+      const hoursRemaining = channel.autoPostHours - hoursSince;
+      console.log(`${channel.key} auto-post check: ${hoursSince}/${channel.autoPostHours} hours passed. Next post in ~${hoursRemaining} hours.`);
     }
   } catch (error) {
-    console.error('Error in fallback check:', error);
+    console.error(`Error in ${channel.key} fallback check:`, error);
   }
 }
 
-// Bulk upload helper
-function extractNumberFromFilename(filename) {
-  const match = filename.match(/(\d+)/);
-  return match ? parseInt(match[1]) : 999;
-}
-
-async function finishBulkUpload(userId) {
-  const session = global.bulkUploadSessions?.[userId];
-  if (!session) return;
+// Send a single reward item to a user or chat - images as photos, everything else as documents
+async function sendRewardFile(chatId, reward, caption = null) {
+  const isImageByFilename = isDocumentAnImage(reward.fileName);
+  const options = caption ? { caption } : {};
   
-  const chatId = session.chatId;
-  const files = session.files;
-  
-  delete global.bulkUploadSessions[userId];
-  
-  if (files.length === 0) {
-    return bot.sendMessage(chatId, 'No files received for bulk upload.');
-  }
-  
-  bot.sendMessage(chatId, `Processing ${files.length} files...`);
-  
-  // Sort by filename number
-  files.sort((a, b) => {
-    const numA = extractNumberFromFilename(a.fileName);
-    const numB = extractNumberFromFilename(b.fileName);
-    return numA - numB;
-  });
-  
-  let processed = 0;
-  let errors = 0;
-  
-  for (const file of files) {
+  if (reward.isImageFile || isImageByFilename) {
+    const fileToSend = reward.imagePath || reward.filePath;
     try {
-      const fileNumber = extractNumberFromFilename(file.fileName);
-      const isImageFile = isImageFileType(file.fileName);
-      
-      // Check if this sequence number already has this type
-      const existingReward = await Reward.findOne({ 
-        sequenceNumber: fileNumber, 
-        isImageFile 
-      });
-      
-      if (existingReward) {
-        continue;
-      }
-      
-      const reward = new Reward({
-        rewardId: Date.now() + Math.random() * 1000,
-        sequenceNumber: fileNumber,
-        fileName: file.fileName,
-        filePath: file.fileId,
-        imageName: isImageFile ? file.fileName : null,
-        imagePath: isImageFile ? file.fileId : null,
-        description: `Sequence ${fileNumber} ${isImageFile ? 'preview' : 'download'}`,
-        addedBy: userId,
-        isImageFile: isImageFile,
-        posted: false
-      });
-      
-      await reward.save();
-      processed++;
-      
-    } catch (error) {
-      console.error(`Error processing ${file.fileName}:`, error);
-      errors++;
+      return await downloadAndSendAsPhoto(chatId, fileToSend, reward.fileName, caption);
+    } catch (downloadError) {
+      return await bot.sendDocument(chatId, fileToSend, options);
     }
   }
   
-  const resultMessage = 
-    `✅ Bulk Upload Complete!\n\n` +
-    `Processed: ${processed}\n` +
-    `Errors: ${errors}\n` +
-    `Total: ${files.length}`;
-  
-  await bot.sendMessage(chatId, resultMessage);
-  await updateStats();
+  return await bot.sendDocument(chatId, reward.filePath, options);
 }
 
 // Send welcome bonus only
 async function sendWelcomeBonus(userId) {
   try {
-    const bonusReward = await Reward.findOne({ sequenceNumber: 0 });
+    const bonusReward = await Reward.findOne({ channel: PRIMARY_CHANNEL_KEY, sequenceNumber: 0 });
     if (bonusReward) {
       try {
         await bot.sendMessage(userId, "🎁 Welcome to StitchVault!");
-        
-        const isImageByFilename = isDocumentAnImage(bonusReward.fileName);
-        
-        if (bonusReward.isImageFile || isImageByFilename) {
-          try {
-            await downloadAndSendAsPhoto(userId, bonusReward.imagePath || bonusReward.filePath, bonusReward.fileName);
-          } catch (downloadError) {
-            await bot.sendDocument(userId, bonusReward.imagePath || bonusReward.filePath);
-          }
-        } else {
-          await bot.sendDocument(userId, bonusReward.filePath);
-        }
+        await sendRewardFile(userId, bonusReward);
       } catch (error) {
         console.error('Send welcome bonus error:', error);
       }
@@ -639,16 +871,12 @@ async function sendWelcomeBonus(userId) {
 
 // BOT COMMANDS
 
-bot.onText(/\/start(.*)/, async (msg, match) => {
+commandRouter.register('start', { args: /^(\S*)/ }, async (msg, match) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   const referralParam = match[1].trim();
   
   try {
-    if (await checkUserBlocked(userId)) {
-      return bot.sendMessage(chatId, 'You are temporarily restricted from using this bot.');
-    }
-
     await updateUserActivity(userId);
     
     let user = await User.findOne({ userId });
@@ -676,7 +904,7 @@ bot.onText(/\/start(.*)/, async (msg, match) => {
           
           bot.sendMessage(referrer.userId, 
             `🔔 Someone started the bot through your invite!\n` +
-            `They need to join @${CHANNEL_USERNAME} to count toward community goals.\n` +
+            `They need to join @${getSetting('channelUsername')} to count toward community goals.\n` +
             `Your referrals: ${referrer.inviteCount}`
           ).catch(() => {});
         }
@@ -685,6 +913,12 @@ bot.onText(/\/start(.*)/, async (msg, match) => {
       await user.save();
       await updateStats();
       
+      if (hasReferrer) {
+        await recordReferralEvent('bot_started_via_referral', user, { code: referralParam });
+      } else {
+        await recordReferralEvent('bot_started', user);
+      }
+      
       // Send welcome bonus
       if (!user.bonusReceived) {
         await sendWelcomeBonus(userId);
@@ -694,9 +928,10 @@ bot.onText(/\/start(.*)/, async (msg, match) => {
     }
     
     // Get community stats
-    const stats = await Stats.findOne() || {};
+    const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
     const memberCount = stats.communityMemberCount || 0;
-    const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+    const invitesPerReward = getSetting('invitesPerReward');
+    const nextMilestone = Math.ceil((memberCount + 1) / invitesPerReward) * invitesPerReward;
     const needed = Math.max(0, nextMilestone - memberCount);
     
     let welcomeMessage;
@@ -709,7 +944,7 @@ bot.onText(/\/start(.*)/, async (msg, match) => {
         `👆 **Click the button below to join our channel!**\n\n` +
         `🏆 Community Progress: ${memberCount} members\n` +
         `🎯 Next unlock: ${needed} more members needed\n\n` +
-        `💡 Every ${INVITES_PER_REWARD} community members unlocks exclusive content for everyone!`;
+        `💡 Every ${invitesPerReward} community members unlocks exclusive content for everyone!`;
     } else if (isNewUser) {
       welcomeMessage = 
         `🎉 Welcome to StitchVault Community!\n\n` +
@@ -731,29 +966,25 @@ bot.onText(/\/start(.*)/, async (msg, match) => {
     
     const keyboard = {
       inline_keyboard: [
-        [{ text: '📱 Join StitchVault', url: `https://t.me/${CHANNEL_USERNAME}` }],
+        [{ text: '📱 Join StitchVault', url: `https://t.me/${getSetting('channelUsername')}` }],
         [{ text: '🔗 Get Invite Link', callback_data: 'get_link' }],
         [{ text: '📊 Stats', callback_data: 'my_stats' }, { text: '❓ Help', callback_data: 'help' }]
       ]
     };
     
     await bot.sendMessage(chatId, welcomeMessage, { reply_markup: keyboard });
-    
+  
   } catch (error) {
     console.error('Start command error:', error);
     bot.sendMessage(chatId, 'An error occurred. Please try again.');
   }
 });
 
-bot.onText(/\/link/, async (msg) => {
+commandRouter.register('link', async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
   try {
-    if (await checkUserBlocked(userId)) {
-      return bot.sendMessage(chatId, 'You are restricted from using this bot.');
-    }
-
     await updateUserActivity(userId);
     
     const user = await User.findOne({ userId });
@@ -761,9 +992,10 @@ bot.onText(/\/link/, async (msg) => {
       return bot.sendMessage(chatId, 'Please start the bot first with /start');
     }
     
-    const stats = await Stats.findOne() || {};
+    const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
     const memberCount = stats.communityMemberCount || 0;
-    const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+    const invitesPerReward = getSetting('invitesPerReward');
+    const nextMilestone = Math.ceil((memberCount + 1) / invitesPerReward) * invitesPerReward;
     const needed = Math.max(0, nextMilestone - memberCount);
     
     const inviteLink = `https://t.me/${BOT_USERNAME}?start=${user.referralCode}`;
@@ -775,32 +1007,28 @@ bot.onText(/\/link/, async (msg) => {
       `Community progress: ${memberCount} members\n` +
       `Next unlock: ${needed} more members\n\n` +
       `Share to help unlock exclusive collections!\n` +
-      `Friends must join @${CHANNEL_USERNAME} to count`;
+      `Friends must join @${getSetting('channelUsername')} to count`;
     
     const keyboard = {
       inline_keyboard: [
         [{ text: 'Share Link', url: `https://t.me/share/url?url=${encodeURIComponent(inviteLink)}&text=${encodeURIComponent('Join StitchVault creative community!')}` }],
-        [{ text: 'Join Channel', url: `https://t.me/${CHANNEL_USERNAME}` }]
+        [{ text: 'Join Channel', url: `https://t.me/${getSetting('channelUsername')}` }]
       ]
     };
     
     await bot.sendMessage(chatId, message, { reply_markup: keyboard });
-    
+  
   } catch (error) {
     console.error('Link command error:', error);
     bot.sendMessage(chatId, 'An error occurred.');
   }
 });
 
-bot.onText(/\/stats/, async (msg) => {
+commandRouter.register('stats', async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   
   try {
-    if (await checkUserBlocked(userId)) {
-      return bot.sendMessage(chatId, 'You are restricted from using this bot.');
-    }
-
     await updateUserActivity(userId);
     
     const user = await User.findOne({ userId });
@@ -808,15 +1036,22 @@ bot.onText(/\/stats/, async (msg) => {
       return bot.sendMessage(chatId, 'Please start the bot first with /start');
     }
     
-    const stats = await Stats.findOne() || {};
+    const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
     const memberCount = stats.communityMemberCount || 0;
-    const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+    const invitesPerReward = getSetting('invitesPerReward');
+    const nextMilestone = Math.ceil((memberCount + 1) / invitesPerReward) * invitesPerReward;
     const needed = Math.max(0, nextMilestone - memberCount);
     const lastPosted = stats.lastPostedSequence || 0;
     
+    const personalProgress = await describePersonalProgress(user);
+    
     let referralStatus = '';
-    if (user.referredBy && !user.referralCounted) {
-      referralStatus = `\n⏳ Pending referral (join @${CHANNEL_USERNAME} to activate)`;
+    if (user.referredBy && user.referralRevoked) {
+      referralStatus = `\n❌ Referral revoked (left the channel)`;
+    } else if (user.referredBy && user.referralHeldAt) {
+      referralStatus = `\n⏳ Referral confirming soon - stay in @${getSetting('channelUsername')}`;
+    } else if (user.referredBy && !user.referralCounted) {
+      referralStatus = `\n⏳ Pending referral (join @${getSetting('channelUsername')} to activate)`;
     } else if (user.referredBy && user.referralCounted) {
       referralStatus = `\n✅ Referral counted`;
     }
@@ -829,53 +1064,58 @@ bot.onText(/\/stats/, async (msg) => {
       `Channel Member: ${user.joinedChannel ? 'Yes ✅' : 'No ❌'}${referralStatus}\n\n` +
       `🎯 Your Progress:\n` +
       `Your referrals: ${user.inviteCount}\n` +
+      `${personalProgress ? `${personalProgress}\n` : ''}` +
       `(Note: Referrals help track activity, but community unlocks rewards for everyone!)\n\n` +
       `🏆 Community Progress:\n` +
       `Total members: ${memberCount}\n` +
       `Files posted: ${lastPosted}\n` +
       `Next unlock: ${needed} more members\n` +
       `Last content: ${stats.lastChannelPost ? stats.lastChannelPost.toDateString() : 'None yet'}\n\n` +
-      `💡 Every ${INVITES_PER_REWARD} community members = next exclusive content posted to channel!`;
+      `💡 Every ${invitesPerReward} community members = next exclusive content posted to channel!`;
     
     const keyboard = {
       inline_keyboard: [
         [{ text: 'Get Invite Link', callback_data: 'get_link' }],
-        [{ text: 'Join Channel', url: `https://t.me/${CHANNEL_USERNAME}` }]
+        [{ text: 'Join Channel', url: `https://t.me/${getSetting('channelUsername')}` }]
       ]
     };
     
     await bot.sendMessage(chatId, message, { reply_markup: keyboard });
-    
+  
   } catch (error) {
     console.error('Stats command error:', error);
     bot.sendMessage(chatId, 'An error occurred.');
   }
 });
 
-bot.onText(/\/help/, async (msg) => {
+commandRouter.register('help', async (msg) => {
   const chatId = msg.chat.id;
   
+  const tiers = await getPersonalTiers();
   const helpMessage = 
     `📚 StitchVault Community Help\n\n` +
     `How it works:\n` +
     `1. Get your invite link with /link\n` +
     `2. Share with friends\n` +
-    `3. Friends must join @${CHANNEL_USERNAME}\n` +
-    `4. Every ${INVITES_PER_REWARD} community members unlock exclusive content!\n\n` +
+    `3. Friends must join @${getSetting('channelUsername')}\n` +
+    `4. Every ${getSetting('invitesPerReward')} community members unlock exclusive content!\n\n` +
     `Commands:\n` +
     `/start - Start the bot\n` +
     `/link - Get your invite link\n` +
     `/stats - View your statistics\n` +
+    `/leaderboard - Top referrers\n` +
     `/help - Show this help\n\n` +
     `🎁 Rewards:\n` +
     `• Welcome bonus on first start\n` +
     `• Community unlocks are posted to the channel for EVERYONE\n` +
-    `• No individual rewards - we grow together!\n\n` +
+    (tiers.length > 0
+      ? `• Personal bonus files at ${tiers.map(tier => tier.invites).join(', ')} confirmed referrals\n\n`
+      : `• No individual rewards - we grow together!\n\n`) +
     `Need support? Contact our admins!`;
   
   const keyboard = {
     inline_keyboard: [
-      [{ text: 'Join StitchVault', url: `https://t.me/${CHANNEL_USERNAME}` }],
+      [{ text: 'Join StitchVault', url: `https://t.me/${getSetting('channelUsername')}` }],
       [{ text: 'Get Invite Link', callback_data: 'get_link' }]
     ]
   };
@@ -885,53 +1125,117 @@ bot.onText(/\/help/, async (msg) => {
 
 // ADMIN COMMANDS
 
-bot.onText(/\/admin/, async (msg) => {
+const { getSetting, loadSettings } = require('./settings');
+const { loadRoles, getRole, roleHasPermission, formatRole, recordDeniedAttempt } = require('./roles');
+const { recordAuditEntry } = require('./audit_log');
+const { defineUndoableAction, confirmAction } = require('./confirmations');
+const { channelLabel, getChannels, getChannel, getPrimaryChannel, getChannelByChatId, getAdminChannel, ensureChannels } = require('./channels');
+require('./admin_features');
+const { recoverBulkSessions } = require('./bulk_upload');
+const { runStartupRewardAudit } = require('./reward_audit');
+require('./reward_reorder');
+const { runDueScheduledPosts, recoverScheduledPosts } = require('./scheduled_posts');
+const { runDueBroadcasts, resumeBroadcasts } = require('./broadcasts');
+const { CATCH_UP_MODE, maybeStartCatchUp } = require('./catch_up');
+require('./channel_retract');
+const { POST_STYLE, buildPostCaption } = require('./post_captions');
+const { getPersonalTiers, describePersonalProgress } = require('./personal_rewards');
+const { registerReferralJoin, handleReferredUserLeft, confirmHeldReferrals } = require('./referral_guard');
+const { LEADERBOARD_POST_CRON, postLeaderboardToChannel } = require('./leaderboard');
+const { recordReferralEvent } = require('./referral_events');
+require('./analytics');
+const { recordMemberSnapshots } = require('./member_history');
+
+commandRouter.register('admin', { permission: 'view' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) {
-    return bot.sendMessage(chatId, 'Not authorized.');
-  }
+  const channel = await getAdminChannel(msg.from.id);
   
   const adminHelp = 
-    `🛠 StitchVault Admin Commands:\n\n` +
+    `🛠 StitchVault Admin Commands:\n` +
+    `Your role: ${formatRole(getRole(msg.from.id))} - commands you can't use are refused\n\n` +
+    `📺 Channels (acting on ${channel.key} - ${channelLabel(channel)}):\n` +
+    `/channels - List channels and switch\n` +
+    `/use_channel <key> - Act on another channel\n` +
+    `/add_channel <key> <chat id> - Add a channel\n` +
+    `/channel_set <key> <invites|hours> <n> - Channel settings\n\n` +
     `📊 Analytics:\n` +
     `/stats_admin - Bot statistics\n` +
     `/sync_count - Auto-sync channel count\n` +
     `/set_count <number> - Manually set count\n` +
     `/users - List users\n` +
-    `/user <id> - User details\n\n` +
+    `/user <id> - User details\n` +
+    `/top [n] - Top referrers\n\n` +
     `📁 Content:\n` +
     `/bulk_upload - Bulk upload help\n` +
     `/bulk_upload_files - Start bulk upload\n` +
     `/rewards - List rewards\n` +
-    `/delete_reward <id> - Delete reward\n\n` +
+    `/audit_rewards - Check sequence gaps and duplicates\n` +
+    `/move_sequence <from> <to> - Move a sequence\n` +
+    `/swap_sequence <a> <b> - Swap two sequences\n` +
+    `/insert_sequence <n> - Free slot n, shifting later ones\n` +
+    `/compact_sequences - Close numbering gaps\n` +
+    `/delete_reward <id> - Delete reward\n` +
+    `/clear_sequence <n> - Delete all files of a sequence\n` +
+    `/send_reward <user> <n> - Send a sequence to a user\n\n` +
     `📢 Channel:\n` +
     `/post_next - Post next file manually\n` +
-    `/channel_history - Post history\n` +
-    `/test_next - Test next post\n\n` +
+    `/catch_up - Preview and post missed milestones\n` +
+    `/channel_history - Post history (retract / repost)\n` +
+    `/set_caption <global|n> <template> - Edit post caption\n` +
+    `/set_description <n> <text> - Edit a sequence description\n` +
+    `/caption_preview <n> - Show a rendered caption\n` +
+    `/set_tier <referrals> - Personal reward (reply to a file)\n` +
+    `/tiers - List personal rewards\n` +
+    `/remove_tier <referrals> - Remove a personal reward\n` +
+    `/referral_reviews - Flagged referrers\n` +
+    `/referral_events [id] - Referral event log\n` +
+    `/analytics [7d|30d|90d] - Growth report with CSV\n` +
+    `/member_trend [days] - Member count history + projection\n` +
+    `/post_leaderboard - Post the weekly leaderboard now\n` +
+    `/test_next - Test next post\n` +
+    `/test_channel - Check channel permissions\n` +
+    `/schedule_post <n> <date> <time> - Schedule a sequence\n` +
+    `/scheduled_posts - List scheduled posts\n` +
+    `/cancel_scheduled <id> - Cancel a scheduled post\n\n` +
     `⚙️ Management:\n` +
-    `/broadcast <msg> - Message all\n` +
+    `/settings - Edit settings live\n` +
+    `/settings history - Settings change log\n` +
+    `/staff - Roles and permissions\n` +
+    `/grant <id> <role> - Give a staff role\n` +
+    `/revoke <id> - Remove a staff role\n` +
+    `/denied [n] - Denied command attempts\n` +
+    `/audit [n] - Admin audit log\n` +
+    `/undo - Undo your last reset, count change or deletion\n` +
+    `/broadcast [msg] - Compose a broadcast (media, buttons, audience, schedule)\n` +
+    `/broadcasts - Scheduled, running and recent broadcasts\n` +
+    `/cancel_broadcast <id> - Cancel a scheduled or running broadcast\n` +
+    `/broadcast_report <id> - Delivery report with failed users\n` +
     `/block <id> - Block user\n` +
     `/unblock <id> - Unblock user\n` +
+    `/reset_user <id> - Reset user stats\n` +
+    `/backup - Export database\n` +
     `/reset_community - Reset counter\n` +
     `/reset_sequence - Reset posting sequence\n\n` +
-    `Settings:\n` +
-    `Auto-post: ${AUTO_POST_HOURS} hours\n` +
-    `Members per reward: ${INVITES_PER_REWARD}\n\n` +
+    `Settings (${channel.key}):\n` +
+    `Auto-post: ${channel.autoPostHours} hours\n` +
+    `Members per reward: ${channel.invitesPerReward}\n` +
+    `Public channel: @${getSetting('channelUsername')}\n` +
+    `Owners: ${getSetting('adminIds').join(', ')}\n` +
+    `Sequence gaps: ${SKIP_SEQUENCE_GAPS ? 'skipped' : 'block posting'}\n` +
+    `Catch-up mode: ${CATCH_UP_MODE}\n` +
+    `Post style: ${POST_STYLE}\n` +
+    `Leaderboard post: ${LEADERBOARD_POST_CRON || 'off'}\n\n` +
     `Note: Manual posts don't reset auto-post timer`;
   
   await bot.sendMessage(chatId, adminHelp);
 });
 
-bot.onText(/\/stats_admin/, async (msg) => {
+commandRouter.register('stats_admin', { permission: 'analytics' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const stats = await Stats.findOne() || {};
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ 
       lastActivity: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } 
@@ -940,12 +1244,12 @@ bot.onText(/\/stats_admin/, async (msg) => {
     const totalInvites = await User.aggregate([
       { $group: { _id: null, total: { $sum: '$inviteCount' } } }
     ]);
-    const totalRewards = await Reward.countDocuments();
-    const postedRewards = await Reward.countDocuments({ posted: true });
-    const channelPosts = await ChannelPost.countDocuments();
+    const totalRewards = await Reward.countDocuments({ channel: channel.key });
+    const postedRewards = await Reward.countDocuments({ channel: channel.key, posted: true });
+    const channelPosts = await ChannelPost.countDocuments({ channel: channel.key });
     const memberCount = stats.communityMemberCount || 0;
     const lastPosted = stats.lastPostedSequence || 0;
-    const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+    const nextMilestone = Math.ceil((memberCount + 1) / channel.invitesPerReward) * channel.invitesPerReward;
     const needed = Math.max(0, nextMilestone - memberCount);
     
     // Calculate time until next auto-post
@@ -954,8 +1258,8 @@ bot.onText(/\/stats_admin/, async (msg) => {
     let autoPostStatus = 'Never posted';
     if (lastCheck) {
       const hoursSince = Math.floor((now - lastCheck) / (1000 * 60 * 60));
-      const hoursRemaining = Math.max(0, AUTO_POST_HOURS - hoursSince);
-      autoPostStatus = `Next in ~${hoursRemaining} hours (${hoursSince}/${AUTO_POST_HOURS}h passed)`;
+      const hoursRemaining = Math.max(0, channel.autoPostHours - hoursSince);
+      autoPostStatus = `Next in ~${hoursRemaining} hours (${hoursSince}/${channel.autoPostHours}h passed)`;
     }
     
     const message = 
@@ -965,7 +1269,7 @@ bot.onText(/\/stats_admin/, async (msg) => {
       `Active (7d): ${activeUsers}\n` +
       `Channel members: ${channelMembers}\n` +
       `Total referrals: ${totalInvites[0]?.total || 0}\n\n` +
-      `🏆 Community Progress:\n` +
+      `🏆 Community Progress (${channelLabel(channel)}):\n` +
       `Community members: ${memberCount}\n` +
       `Next milestone: ${nextMilestone} (${needed} more needed)\n` +
       `Last posted sequence: ${lastPosted}\n\n` +
@@ -976,147 +1280,219 @@ bot.onText(/\/stats_admin/, async (msg) => {
       `Channel posts made: ${channelPosts}\n` +
       `Last post: ${stats.lastChannelPost ? stats.lastChannelPost.toLocaleString() : 'Never'}\n\n` +
       `⏰ Auto-Post:\n` +
-      `Interval: ${AUTO_POST_HOURS} hours\n` +
+      `Interval: ${channel.autoPostHours} hours\n` +
       `Status: ${autoPostStatus}\n` +
       `Last auto-check: ${lastCheck ? lastCheck.toLocaleString() : 'Never'}\n\n` +
       `⚙️ Settings:\n` +
-      `Members per reward: ${INVITES_PER_REWARD}\n\n` +
+      `Members per reward: ${channel.invitesPerReward}\n` +
+      `Public channel: @${getSetting('channelUsername')}\n` +
+      `Owners: ${getSetting('adminIds').length}\n` +
+      `Edit: /settings | Other channels: /channels\n\n` +
       `Updated: ${new Date().toLocaleString()}`;
     
     await bot.sendMessage(chatId, message);
-    
+  
   } catch (error) {
     console.error('Admin stats error:', error);
     bot.sendMessage(chatId, 'Error fetching statistics.');
   }
 });
 
-bot.onText(/\/post_next/, async (msg) => {
+commandRouter.register('post_next', { permission: 'posting', audit: true }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const stats = await Stats.findOne() || {};
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     const currentCount = stats.communityMemberCount || 0;
+    msg.audit.before = { channel: channel.key, lastPostedSequence: stats.lastPostedSequence || 0 };
     
     // Pass isManual=true to prevent resetting auto-post timer
-    const result = await sendNextToChannel(currentCount, false, true);
+    const result = await sendNextToChannel(channel, currentCount, false, true);
     
     if (result && result.results) {
+      msg.audit.after = { channel: channel.key, postedSequence: result.nextSequence };
       bot.sendMessage(chatId, 
         `✅ Manual Post Complete!\n\n` +
+        `Channel: ${channelLabel(channel)}\n` +
         `Sequence posted: ${result.nextSequence}\n` +
         `Community members: ${currentCount}\n\n` +
         result.results.join('\n') +
         `\n\n⏰ Note: Manual posts don't reset the auto-post timer`
       );
     } else {
-      bot.sendMessage(chatId, `No more content to post!`);
+      bot.sendMessage(chatId, `No more content to post in ${channelLabel(channel)}!`);
     }
-    
+  
   } catch (error) {
     console.error('Post next error:', error);
+    msg.audit.error = error.message;
     bot.sendMessage(chatId, `Error: ${error.message}`);
   }
 });
 
-bot.onText(/\/test_next/, async (msg) => {
+commandRouter.register('test_next', { permission: 'posting' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const stats = await Stats.findOne() || {};
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     const currentCount = stats.communityMemberCount || 0;
     
-    const result = await sendNextToChannel(currentCount, true, false);
+    const result = await sendNextToChannel(channel, currentCount, true, false);
     
     if (result && result.results) {
       bot.sendMessage(chatId, 
         `🧪 Test Post Complete!\n\n` +
+        `Channel: ${channelLabel(channel)}\n` +
         `Sequence: ${result.nextSequence}\n` +
         `(This was a test - not counted toward sequence)\n\n` +
         result.results.join('\n')
       );
     } else {
-      bot.sendMessage(chatId, `No more content to post!`);
+      bot.sendMessage(chatId, `No more content to post in ${channelLabel(channel)}!`);
     }
-    
+  
   } catch (error) {
     console.error('Test next error:', error);
     bot.sendMessage(chatId, `Error: ${error.message}`);
   }
 });
 
-bot.onText(/\/reset_community/, async (msg) => {
+defineUndoableAction('reset_community', {
+  command: '/reset_community',
+  permission: 'danger',
+  snapshot: async ({ channel }) => {
+    const stats = await Stats.findOne({ channel }) || {};
+    return { channel, communityMemberCount: stats.communityMemberCount || 0 };
+  },
+  apply: async ({ channel }) => {
+    await Stats.findOneAndUpdate({ channel }, { communityMemberCount: 0 }, { upsert: true });
+    return {
+      after: { channel, communityMemberCount: 0 },
+      message: `✅ Community member counter of ${channelLabel(await getChannel(channel))} has been reset to 0.`
+    };
+  },
+  restore: async (snapshot) => {
+    await Stats.updateOne({ channel: snapshot.channel }, { communityMemberCount: snapshot.communityMemberCount });
+    return `Community member counter of ${snapshot.channel} is back to ${snapshot.communityMemberCount}.`;
+  }
+});
+
+commandRouter.register('reset_community', { permission: 'danger' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    await Stats.findOneAndUpdate(
-      {},
-      { communityMemberCount: 0 },
-      { upsert: true }
-    );
-    
-    bot.sendMessage(chatId, '✅ Community member counter has been reset to 0.');
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     
+    await confirmAction(msg, 'reset_community', { channel: channel.key },
+      `⚠️ Reset the community member counter of ${channelLabel(channel)}?\n\n` +
+      `It goes from ${stats.communityMemberCount || 0} to 0.`
+    );
+  
   } catch (error) {
     console.error('Reset community error:', error);
     bot.sendMessage(chatId, 'Error resetting community counter.');
   }
 });
 
-bot.onText(/\/reset_sequence/, async (msg) => {
+defineUndoableAction('reset_sequence', {
+  command: '/reset_sequence',
+  permission: 'danger',
+  snapshot: async ({ channel }) => {
+    const stats = await Stats.findOne({ channel }) || {};
+    const posted = await Reward.find({ channel, posted: true }).select('rewardId postedAt').lean();
+    return {
+      channel,
+      lastPostedSequence: stats.lastPostedSequence || 0,
+      resetTo: 0,
+      posted: posted.map(reward => ({ rewardId: reward.rewardId, postedAt: reward.postedAt }))
+    };
+  },
+  apply: async ({ channel }) => {
+    await Reward.updateMany({ channel }, { posted: false, postedAt: null });
+    await Stats.findOneAndUpdate({ channel }, { lastPostedSequence: 0 }, { upsert: true });
+    return {
+      after: { channel, lastPostedSequence: 0, postedRewards: 0 },
+      message:
+        `✅ Posting sequence reset for ${channelLabel(await getChannel(channel))}!\n\n` +
+        `All rewards marked as unposted.\n` +
+        `Next post will start from sequence 1.`
+    };
+  },
+  restore: async (snapshot) => {
+    // Only undo if nothing was posted since the reset, otherwise those posts would be counted twice
+    const resetTo = snapshot.resetTo ?? 0;
+    const pointer = await Stats.updateOne(
+      { channel: snapshot.channel, lastPostedSequence: resetTo },
+      { lastPostedSequence: snapshot.lastPostedSequence }
+    );
+    if (pointer.matchedCount === 0) {
+      throw new Error(
+        `${snapshot.channel} has posted since the reset (last posted sequence is no longer ${resetTo}), ` +
+        `so restoring would count those posts twice. Check /channel_history instead.`
+      );
+    }
+    
+    if (snapshot.posted.length > 0) {
+      await Reward.bulkWrite(snapshot.posted.map(reward => ({
+        updateOne: { filter: { rewardId: reward.rewardId }, update: { posted: true, postedAt: reward.postedAt } }
+      })));
+    }
+    return (
+      `${snapshot.posted.length} rewards of ${snapshot.channel} are marked posted again.\n` +
+      `Last posted sequence is back to ${snapshot.lastPostedSequence}.`
+    );
+  }
+});
+
+commandRouter.register('reset_sequence', { permission: 'danger' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    await Reward.updateMany({}, { posted: false, postedAt: null });
-    await Stats.findOneAndUpdate(
-      {},
-      { lastPostedSequence: 0 },
-      { upsert: true }
-    );
-    
-    bot.sendMessage(chatId, 
-      `✅ Posting sequence reset!\n\n` +
-      `All rewards marked as unposted.\n` +
-      `Next post will start from sequence 1.`
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    const postedRewards = await Reward.countDocuments({ channel: channel.key, posted: true });
+    
+    await confirmAction(msg, 'reset_sequence', { channel: channel.key },
+      `⚠️ Reset the posting sequence of ${channelLabel(channel)}?\n\n` +
+      `${postedRewards} posted rewards will be marked unposted and the last posted sequence ` +
+      `(${stats.lastPostedSequence || 0}) goes back to 0.`
     );
-    
+  
   } catch (error) {
     console.error('Reset sequence error:', error);
     bot.sendMessage(chatId, 'Error resetting sequence.');
   }
 });
 
-bot.onText(/\/sync_count/, async (msg) => {
+commandRouter.register('sync_count', { permission: 'posting', audit: true }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
+    const channel = await getAdminChannel(msg.from.id);
     let actualCount = 0;
     let method = '';
     
     // Try to get real count from Telegram
     try {
-      actualCount = await bot.getChatMemberCount(CHANNEL_ID);
+      actualCount = await bot.getChatMemberCount(channel.chatId);
       method = 'Telegram API';
       
       if (actualCount === 0) {
         throw new Error('API returned 0');
       }
     } catch (apiError) {
+      // Joins are only tracked per user for the primary channel, so others have no fallback
+      if (!channel.isPrimary) {
+        msg.audit.error = `Member count unavailable: ${apiError.message}`;
+        return bot.sendMessage(chatId,
+          `⚠️ Cannot get the member count of ${channelLabel(channel)}: ${apiError.message}\n\n` +
+          `Check that the bot is an admin there, or set it with /set_count <number>`
+        );
+      }
+      
       // Fallback to database count + 1 for bot
       const dbCount = await User.countDocuments({ joinedChannel: true });
       actualCount = dbCount + 1;
@@ -1135,57 +1511,79 @@ bot.onText(/\/sync_count/, async (msg) => {
       );
     }
     
-    await Stats.findOneAndUpdate(
-      {},
+    const previous = await Stats.findOneAndUpdate(
+      { channel: channel.key },
       { communityMemberCount: actualCount },
       { upsert: true }
     );
+    msg.audit.before = { channel: channel.key, communityMemberCount: previous?.communityMemberCount || 0 };
+    msg.audit.after = { channel: channel.key, communityMemberCount: actualCount, method };
     
-    const stats = await Stats.findOne() || {};
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     const lastPosted = stats.lastPostedSequence || 0;
-    const milestonesReached = Math.floor(actualCount / INVITES_PER_REWARD);
+    const milestonesReached = Math.floor(actualCount / channel.invitesPerReward);
     const shouldHavePosted = milestonesReached;
     
     bot.sendMessage(chatId, 
       `✅ Channel count synced!\n\n` +
+      `Channel: ${channelLabel(channel)}\n` +
       `Method: ${method}\n` +
       `Channel subscribers: ${actualCount}\n` +
       `Last posted sequence: ${lastPosted}\n` +
       `Milestones reached: ${milestonesReached}\n` +
       `Should have posted: ${shouldHavePosted} sequences\n\n` +
-      `${shouldHavePosted > lastPosted ? `⚠️ ${shouldHavePosted - lastPosted} sequences behind!` : '✅ Up to date!'}`
+      `${shouldHavePosted > lastPosted ? `⚠️ ${shouldHavePosted - lastPosted} sequences behind! Use /catch_up to post them.` : '✅ Up to date!'}`
     );
-    
+  
   } catch (error) {
     console.error('Sync count error:', error);
+    msg.audit.error = error.message;
     bot.sendMessage(chatId, `Error syncing channel count: ${error.message}`);
   }
 });
 
-bot.onText(/\/set_count (\d+)/, async (msg, match) => {
+defineUndoableAction('set_count', {
+  command: '/set_count',
+  permission: 'danger',
+  snapshot: async ({ channel }) => {
+    const stats = await Stats.findOne({ channel }) || {};
+    return { channel, communityMemberCount: stats.communityMemberCount || 0 };
+  },
+  apply: async ({ channel, count }) => {
+    const target = await getChannel(channel);
+    await Stats.findOneAndUpdate({ channel }, { communityMemberCount: count }, { upsert: true });
+    
+    const stats = await Stats.findOne({ channel }) || {};
+    const lastPosted = stats.lastPostedSequence || 0;
+    const milestonesReached = Math.floor(count / target.invitesPerReward);
+    
+    return {
+      after: { channel, communityMemberCount: count },
+      message:
+        `✅ Channel count manually set!\n\n` +
+        `Channel: ${channelLabel(target)}\n` +
+        `Subscribers: ${count}\n` +
+        `Last posted: ${lastPosted}\n` +
+        `Milestones reached: ${milestonesReached}\n\n` +
+        `${milestonesReached > lastPosted ? `Ready to post ${milestonesReached - lastPosted} more sequences! Use /catch_up to post them.` : 'Up to date!'}`
+    };
+  },
+  restore: async (snapshot) => {
+    await Stats.updateOne({ channel: snapshot.channel }, { communityMemberCount: snapshot.communityMemberCount });
+    return `Member count of ${snapshot.channel} is back to ${snapshot.communityMemberCount}.`;
+  }
+});
+
+commandRouter.register('set_count', { permission: 'danger', args: /^(\d+)$/, usage: '/set_count <number>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const count = parseInt(match[1]);
   
-  if (!isAdmin(userId)) return;
-  
   try {
-    await Stats.findOneAndUpdate(
-      {},
-      { communityMemberCount: count },
-      { upsert: true }
-    );
-    
-    const stats = await Stats.findOne() || {};
-    const lastPosted = stats.lastPostedSequence || 0;
-    const milestonesReached = Math.floor(count / INVITES_PER_REWARD);
+    const channel = await getAdminChannel(msg.from.id);
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
     
-    bot.sendMessage(chatId, 
-      `✅ Channel count manually set!\n\n` +
-      `Subscribers: ${count}\n` +
-      `Last posted: ${lastPosted}\n` +
-      `Milestones reached: ${milestonesReached}\n\n` +
-      `${milestonesReached > lastPosted ? `Ready to post ${milestonesReached - lastPosted} more sequences!` : 'Up to date!'}`
+    await confirmAction(msg, 'set_count', { channel: channel.key, count },
+      `⚠️ Set the member count of ${channelLabel(channel)} from ${stats.communityMemberCount || 0} to ${count}?`
     );
   } catch (error) {
     console.error('Set count error:', error);
@@ -1193,125 +1591,21 @@ bot.onText(/\/set_count (\d+)/, async (msg, match) => {
   }
 });
 
-bot.onText(/\/bulk_upload/, async (msg) => {
+commandRouter.register('rewards', { permission: 'content' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
-  
-  const helpMessage = 
-    `📦 StitchVault Bulk Upload Instructions:\n\n` +
-    `1. Use /bulk_upload_files to start session\n` +
-    `2. Send multiple files/images\n` +
-    `3. Use /bulk_finish when done\n\n` +
-    `📁 Naming Convention:\n` +
-    `"0.jpg" = Welcome bonus (sequence 0)\n` +
-    `"1.jpg" = First unlock preview (sequence 1)\n` +
-    `"1.zip" = First unlock download (sequence 1)\n` +
-    `"2.png" = Second unlock preview (sequence 2)\n` +
-    `"2.rar" = Second unlock download (sequence 2)\n\n` +
-    `The number in the filename determines posting order.\n` +
-    `Images and documents with the same number are posted together.\n\n` +
-    `Commands:\n` +
-    `/bulk_upload_files - Start session\n` +
-    `/bulk_status - Check progress\n` +
-    `/bulk_finish - Complete upload\n` +
-    `/bulk_cancel - Cancel session`;
-  
-  await bot.sendMessage(chatId, helpMessage);
-});
-
-bot.onText(/\/bulk_upload_files/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) {
-    return bot.sendMessage(chatId, 'Not authorized');
-  }
-  
-  bot.sendMessage(chatId, 
-    `📦 Bulk Upload Session Started!\n\n` +
-    `Send files now (images and documents)\n` +
-    `Session expires in 5 minutes\n` +
-    `Use /bulk_finish when complete`
-  );
-  
-  global.bulkUploadSessions[userId] = {
-    files: [],
-    startTime: Date.now(),
-    chatId: chatId
-  };
-  
-  setTimeout(() => {
-    if (global.bulkUploadSessions[userId]) {
-      finishBulkUpload(userId);
-    }
-  }, 5 * 60 * 1000);
-});
-
-bot.onText(/\/bulk_finish/, async (msg) => {
-  const userId = msg.from.id;
-  if (!isAdmin(userId)) return;
-  await finishBulkUpload(userId);
-});
-
-bot.onText(/\/bulk_status/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
-  
-  const session = global.bulkUploadSessions?.[userId];
-  
-  if (!session) {
-    return bot.sendMessage(chatId, 'No active bulk upload session.');
-  }
-  
-  const elapsed = Math.floor((Date.now() - session.startTime) / 1000);
-  const remaining = Math.max(0, 300 - elapsed);
-  
-  const message = 
-    `📊 Bulk Upload Status:\n\n` +
-    `Files received: ${session.files.length}\n` +
-    `Elapsed: ${elapsed}s\n` +
-    `Remaining: ${remaining}s\n\n` +
-    `Recent files:\n` +
-    session.files.slice(-5).map(f => `• ${f.fileName}`).join('\n');
-  
-  await bot.sendMessage(chatId, message);
-});
-
-bot.onText(/\/bulk_cancel/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
-  
-  if (global.bulkUploadSessions?.[userId]) {
-    delete global.bulkUploadSessions[userId];
-    bot.sendMessage(chatId, '❌ Bulk upload session cancelled.');
-  } else {
-    bot.sendMessage(chatId, 'No active session to cancel.');
-  }
-});
-
-bot.onText(/\/rewards/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const rewards = await Reward.find().sort({ sequenceNumber: 1, isImageFile: -1 });
+    const channel = await getAdminChannel(msg.from.id);
+    const rewards = (await Reward.find({ channel: channel.key })).sort(compareRewardItems);
     
     if (rewards.length === 0) {
-      return bot.sendMessage(chatId, 'No rewards found.');
+      return bot.sendMessage(chatId, `No rewards found for ${channelLabel(channel)}.`);
     }
     
-    let message = `📁 StitchVault Rewards List:\n\n`;
+    let message = `📁 StitchVault Rewards List - ${channelLabel(channel)}:\n\n`;
     
     rewards.forEach(reward => {
-      const typeText = reward.isImageFile ? '🖼 Image' : '📄 File';
+      const typeText = `${reward.isImageFile ? '🖼 Image' : '📄 File'}${reward.itemKey ? ` ${reward.itemKey}` : ''}`;
       const statusText = reward.posted ? '✅ Posted' : '⏳ Pending';
       
       message += 
@@ -1322,118 +1616,105 @@ bot.onText(/\/rewards/, async (msg) => {
     });
     
     await bot.sendMessage(chatId, message);
-    
+  
   } catch (error) {
     console.error('Rewards list error:', error);
     bot.sendMessage(chatId, 'Error fetching rewards.');
   }
 });
 
-bot.onText(/\/delete_reward (\d+)/, async (msg, match) => {
+defineUndoableAction('delete_reward', {
+  command: '/delete_reward',
+  permission: 'content',
+  snapshot: async ({ rewardId }) => ({ reward: await Reward.findOne({ rewardId }).lean() }),
+  apply: async ({ rewardId }) => {
+    const reward = await Reward.findOneAndDelete({ rewardId });
+    if (!reward) {
+      throw new Error('Reward not found');
+    }
+    
+    return {
+      after: { deleted: rewardId },
+      message:
+        `✅ Reward deleted successfully!\n` +
+        `Channel: ${reward.channel}\n` +
+        `File: ${reward.fileName}\n` +
+        `Sequence: ${reward.sequenceNumber}\n` +
+        `Type: ${reward.isImageFile ? 'Image' : 'File'}`
+    };
+  },
+  restore: async (snapshot) => {
+    await Reward.create(snapshot.reward);
+    await updateStats();
+    return `Reward ${snapshot.reward.rewardId} (${snapshot.reward.fileName}) is back in sequence ${snapshot.reward.sequenceNumber}.`;
+  }
+});
+
+commandRouter.register('delete_reward', { permission: 'content', args: /^(\d+)$/, usage: '/delete_reward <id>' }, async (msg, match) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   const rewardId = parseInt(match[1]);
   
-  if (!isAdmin(userId)) return;
-  
   try {
-    const reward = await Reward.findOneAndDelete({ rewardId });
+    const reward = await Reward.findOne({ rewardId });
     
     if (!reward) {
       return bot.sendMessage(chatId, 'Reward not found.');
     }
     
-    bot.sendMessage(chatId, 
-      `✅ Reward deleted successfully!\n` +
+    await confirmAction(msg, 'delete_reward', { rewardId },
+      `⚠️ Delete reward ${rewardId}?\n\n` +
+      `Channel: ${reward.channel}\n` +
       `File: ${reward.fileName}\n` +
-      `Sequence: ${reward.sequenceNumber}\n` +
-      `Type: ${reward.isImageFile ? 'Image' : 'File'}`
+      `Sequence: ${reward.sequenceNumber}${reward.posted ? ' (already posted)' : ''}`
     );
-    
+  
   } catch (error) {
     console.error('Delete reward error:', error);
     bot.sendMessage(chatId, 'Error deleting reward.');
   }
 });
 
-bot.onText(/\/channel_history/, async (msg) => {
+commandRouter.register('channel_history', { permission: 'posting' }, async (msg) => {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  
-  if (!isAdmin(userId)) return;
   
   try {
-    const posts = await ChannelPost.find().sort({ sentAt: -1 }).limit(10);
+    const channel = await getAdminChannel(msg.from.id);
+    const posts = await ChannelPost.find({ channel: channel.key }).sort({ sentAt: -1 }).limit(10);
     
     if (posts.length === 0) {
-      return bot.sendMessage(chatId, 'No channel posts found.');
+      return bot.sendMessage(chatId, `No channel posts found for ${channelLabel(channel)}.`);
     }
     
-    let message = `📜 Recent Channel Posts:\n\n`;
+    let message = `📜 Recent Channel Posts - ${channelLabel(channel)}:\n\n`;
+    const buttons = [];
     
     posts.forEach((post, index) => {
-      const memberText = post.memberCountAtPost === 0 ? 'Test' : `${post.memberCountAtPost} members`;
+      const memberText = isTestPost(post) ? 'Test' : `${post.memberCountAtPost} members`;
       message += 
-        `${index + 1}. Sequence ${post.sequenceNumber} (${memberText})\n` +
+        `${index + 1}. Sequence ${post.sequenceNumber} (${memberText})${post.retractedAt ? ' - retracted' : ''}\n` +
         `${post.sentAt.toLocaleString()}\n` +
         `Image: ${post.imageMessageId ? 'Yes' : 'No'} | ` +
         `File: ${post.fileMessageId ? 'Yes' : 'No'}\n\n`;
+      
+      if (!post.retractedAt) {
+        buttons.push({ text: `🗑 ${index + 1}. #${post.sequenceNumber}`, callback_data: `chpost_ask_${post.postId}` });
+      }
     });
     
-    await bot.sendMessage(chatId, message);
+    // Two retract buttons per row
+    const inlineKeyboard = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+      inlineKeyboard.push(buttons.slice(i, i + 2));
+    }
     
+    await bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: inlineKeyboard } });
+  
   } catch (error) {
     console.error('Channel history error:', error);
     bot.sendMessage(chatId, 'Error fetching channel history.');
   }
 });
 
-// Handle file uploads during bulk session
-bot.on('document', async (msg) => {
-  const userId = msg.from.id;
-  const session = global.bulkUploadSessions?.[userId];
-  
-  if (!session || !isAdmin(userId)) return;
-  
-  const file = {
-    fileName: msg.document.file_name,
-    fileId: msg.document.file_id,
-    fileSize: msg.document.file_size
-  };
-  
-  session.files.push(file);
-  
-  bot.sendMessage(msg.chat.id, 
-    `✅ File added: ${file.fileName}\n` +
-    `Total: ${session.files.length} files\n` +
-    `Send more or /bulk_finish when done`
-  );
-});
-
-bot.on('photo', async (msg) => {
-  const userId = msg.from.id;
-  const session = global.bulkUploadSessions?.[userId];
-  
-  if (!session || !isAdmin(userId)) return;
-  
-  const photo = msg.photo[msg.photo.length - 1];
-  const fileName = msg.caption || `design_${Date.now()}.jpg`;
-  
-  const file = {
-    fileName: fileName,
-    fileId: photo.file_id,
-    fileSize: photo.file_size
-  };
-  
-  session.files.push(file);
-  
-  bot.sendMessage(msg.chat.id, 
-    `✅ Image added: ${fileName}\n` +
-    `Total: ${session.files.length} files\n` +
-    `Send more or /bulk_finish when done`
-  );
-});
-
 // Callback query handler
 bot.on('callback_query', async (callbackQuery) => {
   const chatId = callbackQuery.message.chat.id;
@@ -1449,6 +1730,8 @@ bot.on('callback_query', async (callbackQuery) => {
       return;
     }
     
+    if (await commandRouter.handleCallback(callbackQuery)) return;
+    
     if (data === 'get_link') {
       const user = await User.findOne({ userId });
       if (!user) {
@@ -1459,9 +1742,10 @@ bot.on('callback_query', async (callbackQuery) => {
         return;
       }
       
-      const stats = await Stats.findOne() || {};
+      const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
       const memberCount = stats.communityMemberCount || 0;
-      const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+      const invitesPerReward = getSetting('invitesPerReward');
+      const nextMilestone = Math.ceil((memberCount + 1) / invitesPerReward) * invitesPerReward;
       const needed = Math.max(0, nextMilestone - memberCount);
       
       const inviteLink = `https://t.me/${BOT_USERNAME}?start=${user.referralCode}`;
@@ -1473,18 +1757,18 @@ bot.on('callback_query', async (callbackQuery) => {
         `Community: ${memberCount} members\n` +
         `Next unlock: ${needed} more members\n\n` +
         `Share to unlock exclusive designs!\n` +
-        `Friends must join @${CHANNEL_USERNAME}`;
+        `Friends must join @${getSetting('channelUsername')}`;
       
       const keyboard = {
         inline_keyboard: [
           [{ text: 'Share Link', url: `https://t.me/share/url?url=${encodeURIComponent(inviteLink)}&text=${encodeURIComponent('Join StitchVault creative community!')}` }],
-          [{ text: 'Join Channel', url: `https://t.me/${CHANNEL_USERNAME}` }]
+          [{ text: 'Join Channel', url: `https://t.me/${getSetting('channelUsername')}` }]
         ]
       };
       
       await bot.sendMessage(chatId, message, { reply_markup: keyboard });
       await bot.answerCallbackQuery(callbackQuery.id, { text: 'Here is your invite link!' });
-      
+    
     } else if (data === 'my_stats') {
       const user = await User.findOne({ userId });
       if (!user) {
@@ -1495,9 +1779,10 @@ bot.on('callback_query', async (callbackQuery) => {
         return;
       }
       
-      const stats = await Stats.findOne() || {};
+      const stats = await Stats.findOne({ channel: PRIMARY_CHANNEL_KEY }) || {};
       const memberCount = stats.communityMemberCount || 0;
-      const nextMilestone = Math.ceil((memberCount + 1) / INVITES_PER_REWARD) * INVITES_PER_REWARD;
+      const invitesPerReward = getSetting('invitesPerReward');
+      const nextMilestone = Math.ceil((memberCount + 1) / invitesPerReward) * invitesPerReward;
       const needed = Math.max(0, nextMilestone - memberCount);
       const lastPosted = stats.lastPostedSequence || 0;
       
@@ -1507,26 +1792,26 @@ bot.on('callback_query', async (callbackQuery) => {
         `Community: ${memberCount} members\n` +
         `Files posted: ${lastPosted}\n` +
         `Next unlock: ${needed} more members\n\n` +
-        `Every ${INVITES_PER_REWARD} members = new content!`;
+        `Every ${invitesPerReward} members = new content!`;
       
       await bot.sendMessage(chatId, message);
       await bot.answerCallbackQuery(callbackQuery.id);
-      
+    
     } else if (data === 'help') {
       const helpMessage = 
         `📚 StitchVault Help\n\n` +
         `Get your invite link: /link\n` +
         `Share with friends\n` +
-        `Every ${INVITES_PER_REWARD} members unlock content!\n\n` +
+        `Every ${getSetting('invitesPerReward')} members unlock content!\n\n` +
         `Commands: /start /link /stats /help`;
       
       await bot.sendMessage(chatId, helpMessage);
       await bot.answerCallbackQuery(callbackQuery.id);
-      
+    
     } else {
       await bot.answerCallbackQuery(callbackQuery.id);
     }
-    
+  
   } catch (error) {
     console.error('Callback query error:', error);
     try {
@@ -1574,7 +1859,7 @@ async function periodicMembershipCheck() {
             }, 5 * 60 * 1000);
             
             // Count this member (works for both referral and direct joins)
-            const memberCount = await countMember(user);
+            const memberCount = await countMember(user, 'membership_check');
             
             bot.sendMessage(user.userId, 
               `✅ Welcome to StitchVault!\n\n` +
@@ -1588,7 +1873,7 @@ async function periodicMembershipCheck() {
         }
         
         await new Promise(resolve => setTimeout(resolve, 100));
-        
+      
       } catch (error) {
         if (error.code !== 400) {
           console.error(`Error checking user ${user.userId}:`, error.message);
@@ -1605,9 +1890,24 @@ async function periodicMembershipCheck() {
   }
 }
 
+// Joins and leaves in the other channels only refresh their member count and milestones;
+// users and referrals are tracked for the primary channel alone
+async function trackOtherChannelMember(chatMember) {
+  try {
+    const channel = await getChannelByChatId(chatMember.chat.id);
+    if (channel) {
+      await checkChannelMilestone(channel);
+    }
+  } catch (error) {
+    console.error('Channel member update error:', error);
+  }
+}
+
 // Channel member tracking - COUNTS BOTH REFERRAL AND DIRECT JOINS
 bot.on('chat_member', async (chatMember) => {
-  if (chatMember.chat.id.toString() !== CHANNEL_ID) return;
+  if (chatMember.chat.id.toString() !== CHANNEL_ID) {
+    return trackOtherChannelMember(chatMember);
+  }
   
   const userId = chatMember.new_chat_member.user.id;
   const status = chatMember.new_chat_member.status;
@@ -1630,6 +1930,8 @@ bot.on('chat_member', async (chatMember) => {
       });
       
       await user.save();
+      // Created already joined, so countMember below never runs for them - log the join here
+      await recordReferralEvent('channel_joined', user, { source: 'chat_member' });
       console.log(`New direct join created: ${userInfo.first_name} (${userId})`);
     }
     
@@ -1662,10 +1964,15 @@ bot.on('chat_member', async (chatMember) => {
         }
       } else if (['left', 'kicked'].includes(status)) {
         user.joinedChannel = false;
+        if (wasChannelMember) {
+          await recordReferralEvent('left_channel', user, { status });
+        }
+        await handleReferredUserLeft(user);
+        
         // Update with real channel count when someone leaves
-        const actualMemberCount = await getChannelMemberCount();
+        const actualMemberCount = await getChannelMemberCount(await getPrimaryChannel());
         await Stats.findOneAndUpdate(
-          {},
+          { channel: PRIMARY_CHANNEL_KEY },
           { communityMemberCount: actualMemberCount },
           { upsert: true }
         );
@@ -1678,6 +1985,20 @@ bot.on('chat_member', async (chatMember) => {
   }
 });
 
+// A private chat going to "kicked" means the user blocked the bot
+bot.on('my_chat_member', async (update) => {
+  if (update.chat.type !== 'private' || update.new_chat_member.status !== 'kicked') return;
+  
+  try {
+    const user = await User.findOne({ userId: update.from.id });
+    if (user) {
+      await recordReferralEvent('blocked', user, { source: 'user' });
+    }
+  } catch (error) {
+    console.error('My chat member update error:', error);
+  }
+});
+
 // Error handling
 bot.on('polling_error', (error) => {
   console.error('Polling error:', error.message);
@@ -1691,25 +2012,64 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection:', reason);
 });
 
-// FIXED: Cron jobs - Check auto-post every hour instead of once at midnight
-cron.schedule('0 * * * *', async () => {
-  console.log('Running hourly auto-post check...');
-  await checkAndSendFallback();
-});
-
-// Daily stats update
-cron.schedule('0 0 * * *', async () => {
-  console.log('Running daily stats update...');
-  await updateStats();
-});
-
-// Periodic membership check every 5 minutes
-cron.schedule('*/5 * * * *', async () => {
-  await periodicMembershipCheck();
-});
+// Registered once startup has loaded settings, roles and channels
+function scheduleCronJobs() {
+  // FIXED: Cron jobs - Check auto-post every hour instead of once at midnight
+  cron.schedule('0 * * * *', async () => {
+    console.log('Running hourly auto-post check...');
+    await checkAndSendFallback();
+  });
+  
+  // Hourly member count snapshot for /member_trend
+  cron.schedule('30 * * * *', async () => {
+    await recordMemberSnapshots();
+  });
+  
+  // Daily stats update
+  cron.schedule('0 0 * * *', async () => {
+    console.log('Running daily stats update...');
+    await updateStats();
+  });
+  
+  // Scheduled posts check every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runDueScheduledPosts();
+    } catch (error) {
+      console.error('Scheduled posts run error:', error);
+    }
+  });
+  
+  // Scheduled broadcasts check every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runDueBroadcasts();
+    } catch (error) {
+      console.error('Scheduled broadcasts run error:', error);
+    }
+  });
+  
+  // Optional leaderboard post to the channel
+  if (LEADERBOARD_POST_CRON) {
+    if (cron.validate(LEADERBOARD_POST_CRON)) {
+      cron.schedule(LEADERBOARD_POST_CRON, async () => {
+        console.log('Posting leaderboard to channel...');
+        await postLeaderboardToChannel();
+      });
+    } else {
+      console.error(`Invalid LEADERBOARD_POST_CRON "${LEADERBOARD_POST_CRON}" - leaderboard post disabled`);
+    }
+  }
+  
+  // Periodic membership check every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    await periodicMembershipCheck();
+    await confirmHeldReferrals();
+  });
+}
 
 console.log(`StitchVault Community Bot started successfully!`);
-console.log(`Auto-post interval: ${AUTO_POST_HOURS} hours (checked every hour)`);
-console.log(`Members per reward: ${INVITES_PER_REWARD}`);
-console.log(`Channel: @${CHANNEL_USERNAME}`);
-      
+console.log(`Default auto-post interval: ${getSetting('autoPostHours')} hours (checked every hour)`);
+console.log(`Default members per reward: ${getSetting('invitesPerReward')}`);
+console.log(`Default channel: @${getSetting('channelUsername')}`);
+
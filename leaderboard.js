@@ -0,0 +1,125 @@
+// Referral leaderboard for StitchVault Bot
+// Weekly and monthly boards come from the referral event log (confirmed minus revoked in the
+// window); the all-time board uses each user's inviteCount. LEADERBOARD_POST_CRON posts it to the channel.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+// Cron expression for the channel post, e.g. "0 18 * * 0" for Sundays at 18:00. Empty = off.
+const LEADERBOARD_POST_CRON = process.env.LEADERBOARD_POST_CRON || '';
+const LEADERBOARD_SIZE = 10;
+
+const { countNetReferralsByReferrer } = require('./referral_events');
+
+const PERIODS = {
+  week: { label: 'This Week', days: 7 },
+  month: { label: 'This Month', days: 30 },
+  all: { label: 'All Time', days: null }
+};
+
+// Every referrer with at least one referral in the period, best first: [{ userId, count }]
+async function rankReferrers(period) {
+  const { days } = PERIODS[period];
+  
+  if (!days) {
+    const users = await User.find({ inviteCount: { $gt: 0 }, isBlocked: { $ne: true } })
+      .sort({ inviteCount: -1, joinedAt: 1 })
+      .select('userId inviteCount');
+    return users.map(user => ({ userId: user.userId, count: user.inviteCount }));
+  }
+  
+  const ranking = await countNetReferralsByReferrer({ since: new Date(Date.now() - days * 24 * 60 * 60 * 1000) });
+  
+  const blocked = new Set(
+    (await User.find({ userId: { $in: ranking.map(entry => entry.referrerId) }, isBlocked: true }).select('userId'))
+      .map(user => user.userId)
+  );
+  
+  return ranking
+    .filter(entry => !blocked.has(entry.referrerId))
+    .map(entry => ({ userId: entry.referrerId, count: entry.count }));
+}
+
+async function buildLeaderboard(period, viewerId = null) {
+  const ranking = await rankReferrers(period);
+  const top = ranking.slice(0, LEADERBOARD_SIZE);
+  const users = await User.find({ userId: { $in: top.map(entry => entry.userId) } }).select('userId firstName');
+  const names = new Map(users.map(user => [user.userId, user.firstName]));
+  
+  let message = `🏆 Top Referrers - ${PERIODS[period].label}\n\n`;
+  
+  if (top.length === 0) {
+    message += `No confirmed referrals yet. Be the first!\n`;
+  }
+  
+  top.forEach((entry, index) => {
+    const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
+    message += `${medal} ${names.get(entry.userId) || 'Member'} - ${entry.count} referrals\n`;
+  });
+  
+  if (viewerId) {
+    const position = ranking.findIndex(entry => entry.userId === viewerId);
+    message += position === -1
+      ? `\n📍 You're not on this board yet - share your /link!`
+      : `\n📍 Your rank: #${position + 1} with ${ranking[position].count} referrals`;
+  }
+  
+  return message;
+}
+
+function leaderboardKeyboard(current) {
+  return {
+    inline_keyboard: [Object.keys(PERIODS).map(period => ({
+      text: `${period === current ? '• ' : ''}${PERIODS[period].label}`,
+      callback_data: `lb_${period}`
+    }))]
+  };
+}
+
+async function postLeaderboardToChannel() {
+  try {
+    const message = await buildLeaderboard('week');
+    await bot.sendMessage(CHANNEL_ID,
+      `${message}\n` +
+      `🔗 Get your invite link from @${BOT_USERNAME} and climb the board!`
+    );
+    console.log('Weekly leaderboard posted to channel');
+    return true;
+  } catch (error) {
+    console.error('Leaderboard post error:', error);
+    return false;
+  }
+}
+
+commandRouter.register('leaderboard', { args: /^(week|month|all)?$/i, usage: '/leaderboard [week|month|all]' }, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const period = (match[1] || 'week').toLowerCase();
+  
+  try {
+    const message = await buildLeaderboard(period, msg.from.id);
+    await bot.sendMessage(chatId, message, { reply_markup: leaderboardKeyboard(period) });
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    bot.sendMessage(chatId, 'Error loading the leaderboard. Please try again.');
+  }
+});
+
+// Period buttons under /leaderboard
+commandRouter.registerCallback('lb_', async (callbackQuery, period) => {
+  if (!PERIODS[period]) {
+    return bot.answerCallbackQuery(callbackQuery.id);
+  }
+  
+  const message = await buildLeaderboard(period, callbackQuery.from.id);
+  await bot.editMessageText(message, {
+    chat_id: callbackQuery.message.chat.id,
+    message_id: callbackQuery.message.message_id,
+    reply_markup: leaderboardKeyboard(period)
+  }).catch(() => {});
+  await bot.answerCallbackQuery(callbackQuery.id);
+});
+
+commandRouter.register('post_leaderboard', { permission: 'posting' }, async (msg) => {
+  const posted = await postLeaderboardToChannel();
+  bot.sendMessage(msg.chat.id, posted ? '✅ Weekly leaderboard posted to the channel.' : '❌ Could not post the leaderboard. Check /test_channel');
+});
+
+module.exports = { LEADERBOARD_POST_CRON, rankReferrers, buildLeaderboard, postLeaderboardToChannel };
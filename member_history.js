@@ -0,0 +1,156 @@
+// Member count history for StitchVault Bot
+// Stats.communityMemberCount only holds the latest count, so an hourly cron job in index.js
+// calls recordMemberSnapshots to keep a time series of each channel's size. /member_trend shows
+// the trend and projects when the next milestone will be reached.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { channelLabel, getChannels, getAdminChannel } = require('./channels');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Member Snapshot Schema - stored as a MongoDB time-series collection
+const memberSnapshotSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  channel: String,                                // channel key; missing on snapshots from before channels
+  telegramCount: { type: Number, default: null }, // null when Telegram could not be reached
+  joinedCount: Number,                            // users with joinedChannel: true
+  userCount: Number                               // every user in the DB
+}, {
+  timeseries: { timeField: 'at', granularity: 'hours' },
+  versionKey: false
+});
+
+const MemberSnapshot = mongoose.model('MemberSnapshot', memberSnapshotSchema);
+
+// Snapshots taken before channels existed belong to the primary channel
+function snapshotFilter(channel) {
+  return channel.isPrimary ? { channel: { $in: [channel.key, null] } } : { channel: channel.key };
+}
+
+// One snapshot per channel. The DB counts are shared by every channel.
+async function recordMemberSnapshots() {
+  try {
+    const joinedCount = await User.countDocuments({ joinedChannel: true });
+    const userCount = await User.countDocuments();
+    const at = new Date();
+    
+    for (const channel of await getChannels()) {
+      // Straight from Telegram - getChannelMemberCount would fall back to the DB count
+      const telegramCount = await bot.getChatMemberCount(channel.chatId).catch(error => {
+        console.error(`Snapshot member count error (${channel.key}):`, error.message);
+        return null;
+      });
+      
+      await MemberSnapshot.create({ at, channel: channel.key, telegramCount, joinedCount, userCount });
+    }
+  } catch (error) {
+    console.error('Member snapshot error:', error);
+  }
+}
+
+// Last snapshot of each UTC day in the range, oldest first
+async function dailySnapshots(channel, days) {
+  const rows = await MemberSnapshot.aggregate([
+    { $match: { ...snapshotFilter(channel), at: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+    { $sort: { at: 1 } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$at' } },
+        telegramCount: { $last: '$telegramCount' },
+        joinedCount: { $last: '$joinedCount' },
+        userCount: { $last: '$userCount' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  
+  return rows.map(row => ({
+    day: row._id,
+    telegramCount: row.telegramCount,
+    joinedCount: row.joinedCount,
+    userCount: row.userCount
+  }));
+}
+
+// Members per hour between the oldest and newest Telegram counts in the window, or null
+// when there are not enough snapshots to tell
+async function growthRate(channel, days) {
+  const window = { ...snapshotFilter(channel), at: { $gte: new Date(Date.now() - days * DAY_MS) }, telegramCount: { $ne: null } };
+  const first = await MemberSnapshot.findOne(window).sort({ at: 1 });
+  const last = await MemberSnapshot.findOne(window).sort({ at: -1 });
+  
+  if (!first || !last || last.at - first.at < HOUR_MS) {
+    return null;
+  }
+  
+  return (last.telegramCount - first.telegramCount) / ((last.at - first.at) / HOUR_MS);
+}
+
+function formatEta(hours) {
+  if (hours < 1) return 'within the hour';
+  if (hours < 48) return `in about ${Math.round(hours)} hours`;
+  return `in about ${Math.round(hours / 24)} days`;
+}
+
+commandRouter.register('member_trend', {
+  permission: 'analytics',
+  args: /^(\d+)?$/,
+  usage: '/member_trend [days]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const days = Math.min(Math.max(parseInt(match[1]) || 14, 1), 90);
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    const snapshots = await dailySnapshots(channel, days);
+    if (snapshots.length === 0) {
+      return bot.sendMessage(chatId, `📉 No member snapshots for ${channelLabel(channel)} yet. They are taken every hour.`);
+    }
+    
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    const memberCount = stats.communityMemberCount || 0;
+    const nextMilestone = Math.ceil((memberCount + 1) / channel.invitesPerReward) * channel.invitesPerReward;
+    const needed = Math.max(0, nextMilestone - memberCount);
+    
+    let message = `📈 Member Trend - ${channelLabel(channel)}, last ${days} days\n\n`;
+    
+    let previous = null;
+    snapshots.forEach(snapshot => {
+      const count = snapshot.telegramCount;
+      const change = previous !== null && count !== null ? count - previous : null;
+      message +=
+        `${snapshot.day.slice(5)}: ${count === null ? '?' : count}` +
+        `${change === null ? '' : ` (${change >= 0 ? '+' : ''}${change})`}` +
+        ` | joined ${snapshot.joinedCount} | users ${snapshot.userCount}\n`;
+      if (count !== null) previous = count;
+    });
+    
+    // Recent growth drives the projection; fall back to the whole range if the last week is flat
+    const weekRate = await growthRate(channel, Math.min(days, 7));
+    const rate = weekRate > 0 ? weekRate : await growthRate(channel, days);
+    
+    message +=
+      `\n👥 Now: ${memberCount}\n` +
+      `🎯 Next milestone: ${nextMilestone} (${needed} more)\n`;
+    
+    if (rate === null) {
+      message += `🔮 Projection: not enough history yet`;
+    } else if (rate <= 0) {
+      message += `📊 Growth: ${(rate * 24).toFixed(1)} members/day\n🔮 Projection: no growth - milestone not in sight`;
+    } else {
+      message +=
+        `📊 Growth: ${(rate * 24).toFixed(1)} members/day\n` +
+        `🔮 Projection: ${nextMilestone} members ${formatEta(needed / rate)} ` +
+        `(${new Date(Date.now() + (needed / rate) * HOUR_MS).toISOString().slice(0, 16).replace('T', ' ')} UTC)`;
+    }
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Member trend error:', error);
+    bot.sendMessage(chatId, 'Error building the member trend.');
+  }
+});
+
+module.exports = { MemberSnapshot, recordMemberSnapshots };
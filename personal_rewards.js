@@ -0,0 +1,191 @@
+// Personal referral rewards for StitchVault Bot
+// Optional track next to the community sequences: admins attach a file to a referral count
+// (e.g. 5, 10, 25) and each user gets it by DM once, when their confirmed referrals reach it.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+
+// Personal Tier Schema - file fields match Reward so sendRewardFile can deliver it
+const personalTierSchema = new mongoose.Schema({
+  invites: { type: Number, required: true, unique: true },
+  fileName: String,
+  filePath: String,
+  imagePath: String,
+  isImageFile: { type: Boolean, default: false },
+  description: String,
+  addedBy: Number,
+  addedAt: { type: Date, default: Date.now }
+});
+
+const PersonalTier = mongoose.model('PersonalTier', personalTierSchema);
+
+async function getPersonalTiers() {
+  return PersonalTier.find().sort({ invites: 1 });
+}
+
+// DM every tier the user has reached but not claimed yet. Claiming is a single
+// $addToSet on the user, so a tier is never delivered twice even if two confirmations race.
+async function deliverPersonalRewards(user) {
+  const tiers = await PersonalTier.find({
+    invites: { $lte: user.inviteCount, $nin: user.claimedTiers || [] }
+  }).sort({ invites: 1 });
+  const delivered = [];
+  
+  for (const tier of tiers) {
+    const claim = await User.updateOne(
+      { userId: user.userId, claimedTiers: { $ne: tier.invites } },
+      { $addToSet: { claimedTiers: tier.invites } }
+    );
+    if (claim.modifiedCount !== 1) continue;
+    
+    try {
+      await sendRewardFile(user.userId, tier,
+        `🏅 Personal reward unlocked: ${tier.invites} confirmed referrals!` +
+        `${tier.description ? `\n\n${tier.description}` : ''}`
+      );
+      delivered.push(tier.invites);
+    } catch (error) {
+      // Give the tier back so the next confirmation retries it
+      console.error(`Personal reward ${tier.invites} for ${user.userId} failed:`, error.message);
+      await User.updateOne({ userId: user.userId }, { $pull: { claimedTiers: tier.invites } });
+    }
+  }
+  
+  if (delivered.length > 0) {
+    await notifyAdmins(
+      `🏅 Personal reward delivered\n\n` +
+      `User: ${user.firstName} (${user.userId})\n` +
+      `Referrals: ${user.inviteCount}\n` +
+      `Tiers: ${delivered.join(', ')}`
+    );
+  }
+  
+  return delivered;
+}
+
+// One line for /stats, or '' when the personal track is off
+async function describePersonalProgress(user) {
+  const tiers = await getPersonalTiers();
+  if (tiers.length === 0) return '';
+  
+  const next = tiers.find(tier => tier.invites > user.inviteCount);
+  const claimed = (user.claimedTiers || []).length;
+  
+  return next
+    ? `🏅 Next personal reward: ${next.invites} referrals (${next.invites - user.inviteCount} more) | Claimed: ${claimed}/${tiers.length}`
+    : `🏅 All ${tiers.length} personal rewards unlocked!`;
+}
+
+commandRouter.register('set_tier', {
+  permission: 'content',
+  audit: true,
+  args: /^(\d+)(?:\s+([\s\S]+))?$/,
+  usage: 'Reply to a file or image with /set_tier <referrals> [description]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const invites = parseInt(match[1]);
+  const reply = msg.reply_to_message;
+  
+  if (invites < 1) {
+    msg.audit.error = 'Tier needs at least 1 referral';
+    return bot.sendMessage(chatId, '❌ A tier needs at least 1 referral.');
+  }
+  
+  const photo = reply && reply.photo ? reply.photo[reply.photo.length - 1] : null;
+  const document = reply ? reply.document : null;
+  
+  if (!photo && !document) {
+    msg.audit.error = 'No file replied to';
+    return bot.sendMessage(chatId, '❌ Reply to the file or image this tier should send.');
+  }
+  
+  try {
+    const fileName = document ? document.file_name : `tier_${invites}.jpg`;
+    const fileId = document ? document.file_id : photo.file_id;
+    const isImageFile = Boolean(photo) || isImageFileType(fileName);
+    
+    const previous = await PersonalTier.findOneAndUpdate(
+      { invites },
+      {
+        invites,
+        fileName,
+        filePath: fileId,
+        imagePath: isImageFile ? fileId : null,
+        isImageFile,
+        description: match[2] ? match[2].trim() : null,
+        addedBy: msg.from.id,
+        addedAt: new Date()
+      },
+      { upsert: true }
+    );
+    msg.audit.before = previous ? { invites, fileName: previous.fileName, description: previous.description } : null;
+    msg.audit.after = { invites, fileName, description: match[2] ? match[2].trim() : null };
+    
+    bot.sendMessage(chatId,
+      `✅ Personal reward set!\n\n` +
+      `Referrals: ${invites}\n` +
+      `File: ${fileName}\n\n` +
+      `Users reach it on their next confirmed referral. List: /tiers`
+    );
+  } catch (error) {
+    console.error('Set tier error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `Error setting tier: ${error.message}`);
+  }
+});
+
+commandRouter.register('tiers', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const tiers = await getPersonalTiers();
+    
+    if (tiers.length === 0) {
+      return bot.sendMessage(chatId, 'No personal rewards set. Reply to a file with /set_tier <referrals> to add one.');
+    }
+    
+    let message = `🏅 Personal Rewards:\n\n`;
+    
+    for (const tier of tiers) {
+      const claimedBy = await User.countDocuments({ claimedTiers: tier.invites });
+      message +=
+        `${tier.invites} referrals - ${tier.fileName}\n` +
+        `${tier.description ? `${tier.description}\n` : ''}` +
+        `Claimed by: ${claimedBy} users\n\n`;
+    }
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Tiers list error:', error);
+    bot.sendMessage(chatId, 'Error fetching personal rewards.');
+  }
+});
+
+commandRouter.register('remove_tier', {
+  permission: 'content',
+  audit: true,
+  args: /^(\d+)$/,
+  usage: '/remove_tier <referrals>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const invites = parseInt(match[1]);
+  
+  try {
+    const tier = await PersonalTier.findOneAndDelete({ invites });
+    
+    if (!tier) {
+      msg.audit.error = 'No tier for that referral count';
+      return bot.sendMessage(chatId, 'No personal reward for that referral count.');
+    }
+    msg.audit.before = tier.toObject();
+    msg.audit.after = { removed: invites };
+    
+    bot.sendMessage(chatId, `🗑 Personal reward for ${invites} referrals removed. Users who claimed it keep it.`);
+  } catch (error) {
+    console.error('Remove tier error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, 'Error removing personal reward.');
+  }
+});
+
+module.exports = { PersonalTier, getPersonalTiers, deliverPersonalRewards, describePersonalProgress };
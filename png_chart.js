@@ -0,0 +1,117 @@
+// Minimal PNG bar chart renderer for StitchVault Bot
+// Pure JS on top of zlib, so reports can attach a chart without native canvas packages.
+// No text rendering - labels go in the message caption.
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// RGB canvas with just enough drawing for bar charts
+function createCanvas(width, height, background = [255, 255, 255]) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels.set(background, i * 3);
+  }
+  
+  function fillRect(x, y, w, h, color) {
+    const left = Math.max(0, Math.round(x));
+    const top = Math.max(0, Math.round(y));
+    const right = Math.min(width, Math.round(x + w));
+    const bottom = Math.min(height, Math.round(y + h));
+    
+    for (let row = top; row < bottom; row++) {
+      for (let col = left; col < right; col++) {
+        pixels.set(color, (row * width + col) * 3);
+      }
+    }
+  }
+  
+  function toPng() {
+    // Each scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let row = 0; row < height; row++) {
+      pixels.copy(raw, row * (width * 3 + 1) + 1, row * width * 3, (row + 1) * width * 3);
+    }
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: RGB
+    
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+  
+  return { width, height, fillRect, toPng };
+}
+
+// Bars above a zero line for `up` values and below it for `down` values, one slot per day,
+// with an optional third series drawn as a thin marker (e.g. net growth).
+function renderUpDownChart({ up, down, marker = null, width = 800, height = 400, colors = {} }) {
+  const canvas = createCanvas(width, height);
+  const padding = 20;
+  const upColor = colors.up || [46, 160, 67];
+  const downColor = colors.down || [218, 54, 51];
+  const markerColor = colors.marker || [33, 94, 196];
+  const axisColor = [120, 120, 120];
+  const gridColor = [232, 232, 232];
+  
+  const maxUp = Math.max(1, ...up, ...(marker || []).filter(value => value > 0));
+  const maxDown = Math.max(0, ...down, ...(marker || []).filter(value => value < 0).map(Math.abs));
+  const plotHeight = height - padding * 2;
+  const scale = plotHeight / (maxUp + maxDown || 1);
+  const zeroY = padding + maxUp * scale;
+  
+  // Grid lines at quarters of the largest value
+  for (let i = 1; i <= 4; i++) {
+    canvas.fillRect(padding, zeroY - (maxUp * scale * i) / 4, width - padding * 2, 1, gridColor);
+  }
+  
+  const slot = (width - padding * 2) / Math.max(1, up.length);
+  const barWidth = Math.max(1, slot * 0.7);
+  
+  up.forEach((value, index) => {
+    const x = padding + index * slot + (slot - barWidth) / 2;
+    canvas.fillRect(x, zeroY - value * scale, barWidth, value * scale, upColor);
+    canvas.fillRect(x, zeroY, barWidth, (down[index] || 0) * scale, downColor);
+    
+    if (marker) {
+      canvas.fillRect(x, zeroY - marker[index] * scale - 1, barWidth, 3, markerColor);
+    }
+  });
+  
+  canvas.fillRect(padding, zeroY, width - padding * 2, 1, axisColor);
+  canvas.fillRect(padding, padding, 1, plotHeight, axisColor);
+  
+  return canvas.toPng();
+}
+
+module.exports = { createCanvas, renderUpDownChart };
@@ -0,0 +1,166 @@
+// Channel post captions for StitchVault Bot
+// Renders a caption template per sequence. The global template lives on each channel's Stats
+// document, a per-sequence override on its Rewards. POST_STYLE decides how index.js uses the caption.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { channelLabel, getAdminChannel } = require('./channels');
+
+// separate: image, file and milestone text as three messages (default)
+// captioned: captioned image, then the file
+// album: image and file as one media group with the caption
+const POST_STYLE = ['separate', 'captioned', 'album'].includes(process.env.POST_STYLE) ? process.env.POST_STYLE : 'separate';
+
+const DEFAULT_CAPTION_TEMPLATE =
+  `🎁 #{sequence} {fileName}\n` +
+  `{description}\n\n` +
+  `🎯 Next unlock at {nextMilestone} members ({memberCount} now)`;
+
+// Telegram rejects captions over 1024 characters
+const MAX_CAPTION_LENGTH = 1024;
+
+const PLACEHOLDERS = ['sequence', 'fileName', 'description', 'memberCount', 'nextMilestone', 'needed'];
+
+// Fill {placeholders}; unknown ones are left as typed so typos are easy to spot
+function renderCaption(template, values) {
+  const caption = template
+    .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? String(values[key] ?? '') : placeholder))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  
+  return caption.length > MAX_CAPTION_LENGTH ? caption.slice(0, MAX_CAPTION_LENGTH - 1) + '…' : caption;
+}
+
+async function getGlobalCaptionTemplate(channel) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  return stats.captionTemplate || DEFAULT_CAPTION_TEMPLATE;
+}
+
+// Caption for one sequence: a download's own template wins over a preview's, then the global one
+async function buildPostCaption(channel, sequenceNumber, sequenceRewards, memberCount) {
+  const rewards = [...sequenceRewards].sort((a, b) => a.isImageFile - b.isImageFile);
+  const template = rewards.map(reward => reward.captionTemplate).find(Boolean) || await getGlobalCaptionTemplate(channel);
+  const nextMilestone = Math.ceil((memberCount + 1) / channel.invitesPerReward) * channel.invitesPerReward;
+  
+  return renderCaption(template, {
+    sequence: sequenceNumber,
+    fileName: rewards[0]?.fileName || '',
+    description: rewards.map(reward => reward.description).find(Boolean) || '',
+    memberCount,
+    nextMilestone,
+    needed: Math.max(0, nextMilestone - memberCount)
+  });
+}
+
+commandRouter.register('set_caption', {
+  permission: 'content',
+  audit: true,
+  args: /^(global|\d+)\s+([\s\S]+)$/i,
+  usage:
+    `/set_caption global <template>\n` +
+    `/set_caption <sequence> <template>\n` +
+    `Use "reset" as the template to go back to the default.\n` +
+    `Placeholders: ${PLACEHOLDERS.map(key => `{${key}}`).join(' ')}`
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const target = match[1].toLowerCase();
+  const template = match[2].trim();
+  const reset = template.toLowerCase() === 'reset';
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    
+    if (target === 'global') {
+      const previous = await Stats.findOneAndUpdate({ channel: channel.key }, { captionTemplate: reset ? null : template }, { upsert: true });
+      msg.audit.before = { channel: channel.key, captionTemplate: previous?.captionTemplate || null };
+      msg.audit.after = { channel: channel.key, captionTemplate: reset ? null : template };
+      return bot.sendMessage(chatId,
+        reset
+          ? `✅ Global caption of ${channelLabel(channel)} reset to the default.`
+          : `✅ Global caption of ${channelLabel(channel)} updated.\n\nPreview one with /caption_preview <sequence>`
+      );
+    }
+    
+    const sequenceNumber = parseInt(target);
+    const previous = await Reward.findOne({ channel: channel.key, sequenceNumber });
+    const result = await Reward.updateMany({ channel: channel.key, sequenceNumber }, { captionTemplate: reset ? null : template });
+    
+    if (result.matchedCount === 0) {
+      msg.audit.error = 'Sequence has no files';
+      return bot.sendMessage(chatId, `❌ Sequence ${sequenceNumber} has no files in ${channelLabel(channel)}.`);
+    }
+    
+    msg.audit.before = { channel: channel.key, sequenceNumber, captionTemplate: previous.captionTemplate || null };
+    msg.audit.after = { channel: channel.key, sequenceNumber, captionTemplate: reset ? null : template };
+    
+    bot.sendMessage(chatId,
+      reset
+        ? `✅ Sequence ${sequenceNumber} now uses the global caption.`
+        : `✅ Caption set for sequence ${sequenceNumber}.\n\nPreview: /caption_preview ${sequenceNumber}`
+    );
+  } catch (error) {
+    console.error('Set caption error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `Error setting caption: ${error.message}`);
+  }
+});
+
+commandRouter.register('set_description', {
+  permission: 'content',
+  audit: true,
+  args: /^(\d+)\s+([\s\S]+)$/,
+  usage: '/set_description <sequence> <text>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const sequenceNumber = parseInt(match[1]);
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    const previous = await Reward.findOne({ channel: channel.key, sequenceNumber });
+    const result = await Reward.updateMany({ channel: channel.key, sequenceNumber }, { description: match[2].trim() });
+    
+    if (result.matchedCount === 0) {
+      msg.audit.error = 'Sequence has no files';
+      return bot.sendMessage(chatId, `❌ Sequence ${sequenceNumber} has no files in ${channelLabel(channel)}.`);
+    }
+    msg.audit.before = { channel: channel.key, sequenceNumber, description: previous.description || null };
+    msg.audit.after = { channel: channel.key, sequenceNumber, description: match[2].trim() };
+    
+    bot.sendMessage(chatId, `✅ Description set for sequence ${sequenceNumber}.`);
+  } catch (error) {
+    console.error('Set description error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `Error setting description: ${error.message}`);
+  }
+});
+
+commandRouter.register('caption_preview', {
+  permission: 'content',
+  args: /^(\d+)$/,
+  usage: '/caption_preview <sequence>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const sequenceNumber = parseInt(match[1]);
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    const rewards = (await Reward.find({ channel: channel.key, sequenceNumber })).sort(compareRewardItems);
+    
+    if (rewards.length === 0) {
+      return bot.sendMessage(chatId, `❌ Sequence ${sequenceNumber} has no files in ${channelLabel(channel)}.`);
+    }
+    
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    const caption = await buildPostCaption(channel, sequenceNumber, rewards, stats.communityMemberCount || 0);
+    const custom = rewards.some(reward => reward.captionTemplate);
+    
+    bot.sendMessage(chatId,
+      `📝 Caption for sequence ${sequenceNumber} (${custom ? 'custom' : 'global'} template, post style: ${POST_STYLE}):\n\n` +
+      caption
+    );
+  } catch (error) {
+    console.error('Caption preview error:', error);
+    bot.sendMessage(chatId, `Error building caption: ${error.message}`);
+  }
+});
+
+module.exports = { POST_STYLE, DEFAULT_CAPTION_TEMPLATE, renderCaption, buildPostCaption };
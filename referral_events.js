@@ -0,0 +1,156 @@
+// Referral event log for StitchVault Bot
+// Append-only record of what happened to each user and when, so questions like
+// "how many referrals were confirmed last week" can be answered after the fact.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+
+const REFERRAL_EVENT_TYPES = [
+  'bot_started',              // first /start without an invite code
+  'bot_started_via_referral', // first /start with someone's invite code
+  'channel_joined',           // joined the channel (meta.source: chat_member or membership_check)
+  'referral_held',            // referred user joined, referrer credit waiting out the hold
+  'referral_confirmed',       // referrer credited
+  'referral_revoked',         // credit taken back (meta.reason)
+  'left_channel',             // left or was removed from the channel
+  'blocked'                   // blocked by an admin, or the user blocked the bot (meta.source)
+];
+
+// Referral Event Schema - never updated, only inserted
+const referralEventSchema = new mongoose.Schema({
+  type: { type: String, enum: REFERRAL_EVENT_TYPES, required: true },
+  userId: { type: Number, required: true },
+  referrerId: { type: Number, default: null },
+  at: { type: Date, default: Date.now },
+  meta: { type: mongoose.Schema.Types.Mixed, default: undefined }
+});
+
+referralEventSchema.index({ type: 1, at: -1 });
+referralEventSchema.index({ userId: 1, at: -1 });
+referralEventSchema.index({ referrerId: 1, type: 1, at: -1 });
+
+const ReferralEvent = mongoose.model('ReferralEvent', referralEventSchema);
+
+// Log one event. Never throws - a failed write must not break the join or referral flow.
+async function recordReferralEvent(type, user, meta) {
+  try {
+    await ReferralEvent.create({
+      type,
+      userId: user.userId,
+      referrerId: user.referredBy || null,
+      meta
+    });
+  } catch (error) {
+    console.error(`Referral event ${type} error:`, error.message);
+  }
+}
+
+function buildEventFilter({ type, userId, referrerId, referred, since, until } = {}) {
+  const filter = {};
+  if (type) filter.type = Array.isArray(type) ? { $in: type } : type;
+  if (userId) filter.userId = userId;
+  if (referrerId) filter.referrerId = referrerId;
+  // referred: true / false splits referral users from direct ones
+  else if (referred !== undefined) filter.referrerId = referred ? { $ne: null } : null;
+  if (since || until) {
+    filter.at = {};
+    if (since) filter.at.$gte = since;
+    if (until) filter.at.$lt = until;
+  }
+  return filter;
+}
+
+// Query helper for reports: every option is optional.
+// Options: type (string or array), userId, referrerId, referred, since, until
+// queryReferralEvents({ type: 'referral_confirmed', since: weekAgo })
+// queryReferralEvents({ referrerId: 123, type: ['referral_confirmed', 'referral_revoked'] })
+async function queryReferralEvents(options = {}, limit = 1000) {
+  return ReferralEvent.find(buildEventFilter(options)).sort({ at: -1 }).limit(limit);
+}
+
+async function countReferralEvents(options = {}) {
+  return ReferralEvent.countDocuments(buildEventFilter(options));
+}
+
+// Event counts per UTC day and type: [{ day: '2025-06-13', type, count }]
+async function countReferralEventsByDay(options = {}) {
+  const rows = await ReferralEvent.aggregate([
+    { $match: buildEventFilter(options) },
+    {
+      $group: {
+        _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$at' } }, type: '$type' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.day': 1, '_id.type': 1 } }
+  ]);
+  
+  return rows.map(row => ({ day: row._id.day, type: row._id.type, count: row.count }));
+}
+
+// Net referrals per referrer: confirmed minus revoked in the range, best first.
+// [{ referrerId, count }] - referrers at zero or below are left out
+async function countNetReferralsByReferrer(options = {}) {
+  const rows = await ReferralEvent.aggregate([
+    { $match: buildEventFilter({ ...options, type: ['referral_confirmed', 'referral_revoked'], referred: true }) },
+    {
+      $group: {
+        _id: '$referrerId',
+        count: { $sum: { $cond: [{ $eq: ['$type', 'referral_confirmed'] }, 1, -1] } },
+        first: { $min: '$at' }
+      }
+    },
+    { $match: { count: { $gt: 0 } } },
+    { $sort: { count: -1, first: 1 } }
+  ]);
+  
+  return rows.map(row => ({ referrerId: row._id, count: row.count }));
+}
+
+commandRouter.register('referral_events', {
+  permission: 'analytics',
+  args: /^(\d+)?$/,
+  usage: '/referral_events [user id]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const targetUserId = match[1] ? parseInt(match[1]) : null;
+  
+  try {
+    // For a user: what happened to them and to the people they referred
+    const events = targetUserId
+      ? await ReferralEvent.find({ $or: [{ userId: targetUserId }, { referrerId: targetUserId }] }).sort({ at: -1 }).limit(20)
+      : await queryReferralEvents({}, 20);
+    
+    if (events.length === 0) {
+      return bot.sendMessage(chatId, 'No referral events recorded yet.');
+    }
+    
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    let message =
+      `🧾 Referral Events${targetUserId ? ` for ${targetUserId}` : ''}\n\n` +
+      `Last 7 days: ${await countReferralEvents({ type: 'referral_confirmed', referrerId: targetUserId, since: weekAgo })} confirmed, ` +
+      `${await countReferralEvents({ type: 'referral_revoked', referrerId: targetUserId, since: weekAgo })} revoked\n\n`;
+    
+    events.forEach(event => {
+      message +=
+        `${event.at.toLocaleString()} - ${event.type}\n` +
+        `User ${event.userId}${event.referrerId ? ` (ref ${event.referrerId})` : ''}` +
+        `${event.meta ? ` ${JSON.stringify(event.meta)}` : ''}\n\n`;
+    });
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Referral events error:', error);
+    bot.sendMessage(chatId, 'Error fetching referral events.');
+  }
+});
+
+module.exports = {
+  ReferralEvent,
+  REFERRAL_EVENT_TYPES,
+  recordReferralEvent,
+  queryReferralEvents,
+  countReferralEvents,
+  countReferralEventsByDay,
+  countNetReferralsByReferrer
+};
@@ -0,0 +1,363 @@
+// Referral hold, revocation and fraud review for StitchVault Bot
+// A referred user's join is held for REFERRAL_HOLD_MINUTES before the referrer is credited.
+// Leaving during the hold cancels it; leaving within REFERRAL_REVOKE_DAYS of the credit revokes it.
+// Referrers whose referrals look farmed are flagged for admin review and stop earning until cleared.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { deliverPersonalRewards } = require('./personal_rewards');
+const { recordReferralEvent } = require('./referral_events');
+
+// 0 credits the referrer as soon as the referred user joins
+const REFERRAL_HOLD_MINUTES = parseInt(process.env.REFERRAL_HOLD_MINUTES ?? '60') || 0;
+const REFERRAL_REVOKE_DAYS = parseInt(process.env.REFERRAL_REVOKE_DAYS) || 7;
+
+// Fraud heuristics - only checked once a referrer has this many referred users
+const FRAUD_MIN_REFERRALS = 5;
+const FRAUD_NO_USERNAME_RATIO = 0.7;
+const FRAUD_BURST_COUNT = 5;
+const FRAUD_BURST_MINUTES = 10;
+const FRAUD_NEW_ACCOUNT_RATIO = 0.5;
+const FRAUD_NEW_ACCOUNT_DAYS = 30;
+
+function isUnderReview(referrer) {
+  return referrer.referralReview?.status === 'pending';
+}
+
+// Referrers who earn nothing right now: waiting for review, or penalized by one
+async function findSuspendedReferrerIds() {
+  return User.distinct('userId', { 'referralReview.status': { $in: ['pending', 'penalized'] } });
+}
+
+// Credit the referrer. Flipping referralCounted in one update claims the referral,
+// so the hold cron and a chat_member update can't both credit it.
+async function confirmReferral(user) {
+  const claim = await User.updateOne(
+    { userId: user.userId, referralCounted: false, referralRevoked: { $ne: true } },
+    { referralCounted: true, referralCountedAt: new Date(), referralHeldAt: null }
+  );
+  if (claim.modifiedCount !== 1) return false;
+  
+  // Keep the caller's copy in step so its own save() doesn't undo the claim
+  user.referralCounted = true;
+  user.referralCountedAt = new Date();
+  user.referralHeldAt = null;
+  await recordReferralEvent('referral_confirmed', user);
+  
+  const referrer = await User.findOneAndUpdate(
+    { userId: user.referredBy },
+    { $inc: { inviteCount: 1 } },
+    { new: true }
+  );
+  if (!referrer) return true;
+  
+  bot.sendMessage(referrer.userId,
+    `✅ Referral confirmed! ${user.firstName} joined StitchVault!\n\n` +
+    `Your referrals: ${referrer.inviteCount}\n` +
+    `Keep sharing to help unlock community rewards!`
+  ).catch(() => {});
+  
+  await deliverPersonalRewards(referrer).catch(error => {
+    console.error('Personal reward error:', error);
+  });
+  
+  return true;
+}
+
+// Take a confirmed referral back. A revoked user never counts again, even if they rejoin.
+async function revokeReferral(user, reason) {
+  const claim = await User.updateOne(
+    { userId: user.userId, referralCounted: true },
+    { referralCounted: false, referralRevoked: true }
+  );
+  if (claim.modifiedCount !== 1) return false;
+  
+  user.referralCounted = false;
+  user.referralRevoked = true;
+  await recordReferralEvent('referral_revoked', user, { reason });
+  
+  const referrer = await User.findOneAndUpdate(
+    { userId: user.referredBy, inviteCount: { $gt: 0 } },
+    { $inc: { inviteCount: -1 } },
+    { new: true }
+  );
+  
+  if (referrer) {
+    bot.sendMessage(referrer.userId,
+      `⚠️ Referral revoked: ${user.firstName} ${reason}.\n\n` +
+      `Your referrals: ${referrer.inviteCount}`
+    ).catch(() => {});
+  }
+  
+  return true;
+}
+
+async function findFraudSignals(referrerId) {
+  const referred = await User.find({ referredBy: referrerId }).sort({ joinedAt: 1 });
+  if (referred.length < FRAUD_MIN_REFERRALS) return [];
+  
+  const signals = [];
+  
+  const noUsername = referred.filter(user => !user.username).length;
+  if (noUsername / referred.length >= FRAUD_NO_USERNAME_RATIO) {
+    signals.push(`${noUsername}/${referred.length} referred accounts have no username`);
+  }
+  
+  for (let i = 0; i + FRAUD_BURST_COUNT - 1 < referred.length; i++) {
+    const span = referred[i + FRAUD_BURST_COUNT - 1].joinedAt - referred[i].joinedAt;
+    if (span <= FRAUD_BURST_MINUTES * 60 * 1000) {
+      signals.push(`${FRAUD_BURST_COUNT} referred accounts started the bot within ${FRAUD_BURST_MINUTES} minutes`);
+      break;
+    }
+  }
+  
+  // Telegram ids grow over time, so an id above every user we already knew
+  // FRAUD_NEW_ACCOUNT_DAYS ago most likely belongs to an account created since then
+  const newestOldUser = await User.findOne({
+    joinedAt: { $lt: new Date(Date.now() - FRAUD_NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000) }
+  }).sort({ userId: -1 });
+  
+  if (newestOldUser) {
+    const newAccounts = referred.filter(user => user.userId > newestOldUser.userId).length;
+    if (newAccounts / referred.length >= FRAUD_NEW_ACCOUNT_RATIO) {
+      signals.push(`${newAccounts}/${referred.length} referred accounts look less than ${FRAUD_NEW_ACCOUNT_DAYS} days old`);
+    }
+  }
+  
+  return signals;
+}
+
+// Put the referrer in the review queue when the heuristics fire. Referrers an admin
+// already reviewed are left alone.
+async function checkReferrerForFraud(referrer) {
+  if (referrer.referralReview?.status) return false;
+  
+  const reasons = await findFraudSignals(referrer.userId);
+  if (reasons.length === 0) return false;
+  
+  const flagged = await User.updateOne(
+    { userId: referrer.userId, 'referralReview.status': { $exists: false } },
+    { referralReview: { status: 'pending', reasons, flaggedAt: new Date() } }
+  );
+  if (flagged.modifiedCount !== 1) return false;
+  
+  referrer.referralReview = { status: 'pending', reasons, flaggedAt: new Date() };
+  
+  await notifyAdmins(
+    `🚩 Referrer flagged for review\n\n` +
+    `User: ${referrer.firstName} (${referrer.userId})\n` +
+    `Referrals: ${referrer.inviteCount}\n\n` +
+    reasons.map(reason => `• ${reason}`).join('\n') + `\n\n` +
+    `They earn no new referrals until cleared. Review with /referral_reviews`
+  );
+  
+  return true;
+}
+
+// Called from countMember when a referred user joins the channel
+async function registerReferralJoin(user) {
+  if (!user.referredBy || user.referralCounted || user.referralRevoked) return;
+  
+  const referrer = await User.findOne({ userId: user.referredBy });
+  if (!referrer) return;
+  
+  await checkReferrerForFraud(referrer);
+  
+  // Joins while a review is open, or after a penalty, are not held or credited
+  if (referrer.referralReview?.status === 'penalized') return;
+  if (isUnderReview(referrer)) {
+    bot.sendMessage(referrer.userId,
+      `⏳ ${user.firstName} joined StitchVault, but your referrals are paused while an admin reviews them.`
+    ).catch(() => {});
+    return;
+  }
+  
+  if (REFERRAL_HOLD_MINUTES === 0) {
+    await confirmReferral(user);
+    return;
+  }
+  
+  if (!user.referralHeldAt) {
+    user.referralHeldAt = new Date();
+    await User.updateOne({ userId: user.userId }, { referralHeldAt: user.referralHeldAt });
+    await recordReferralEvent('referral_held', user);
+    
+    bot.sendMessage(referrer.userId,
+      `⏳ ${user.firstName} joined StitchVault!\n\n` +
+      `Your referral counts once they've stayed in the channel for ${REFERRAL_HOLD_MINUTES} minutes.`
+    ).catch(() => {});
+  }
+}
+
+// Called from the chat_member handler when a user leaves or is removed
+async function handleReferredUserLeft(user) {
+  if (!user.referredBy) return;
+  
+  if (!user.referralCounted && user.referralHeldAt) {
+    user.referralHeldAt = null;
+    await User.updateOne({ userId: user.userId }, { referralHeldAt: null });
+    return;
+  }
+  
+  const windowStart = new Date(Date.now() - REFERRAL_REVOKE_DAYS * 24 * 60 * 60 * 1000);
+  if (user.referralCounted && user.referralCountedAt && user.referralCountedAt >= windowStart) {
+    await revokeReferral(user, `left the channel`);
+  }
+}
+
+// Cron: confirm held referrals whose hold is over, if the user is still in the channel.
+// Referrals of suspended referrers stay held, and are left out of the query so they can't
+// fill every batch and starve everyone else.
+async function confirmHeldReferrals() {
+  try {
+    const cutoff = new Date(Date.now() - REFERRAL_HOLD_MINUTES * 60 * 1000);
+    const due = await User.find({
+      referralHeldAt: { $ne: null, $lte: cutoff },
+      referralCounted: false,
+      referralRevoked: { $ne: true },
+      referredBy: { $nin: await findSuspendedReferrerIds() }
+    }).sort({ referralHeldAt: 1 }).limit(50);
+    
+    for (const user of due) {
+      const referrer = await User.findOne({ userId: user.referredBy });
+      if (!referrer) {
+        // Nobody to credit; drop the hold so it doesn't come back every run
+        await User.updateOne({ userId: user.userId }, { referralHeldAt: null });
+        continue;
+      }
+      // Flagged since the query ran
+      if (isUnderReview(referrer)) continue;
+      
+      if (!await checkChannelMembership(user.userId)) {
+        await User.updateOne({ userId: user.userId }, { referralHeldAt: null, joinedChannel: false });
+        continue;
+      }
+      
+      await confirmReferral(user);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  } catch (error) {
+    console.error('Held referral check error:', error);
+  }
+}
+
+// Revoke every referral of a flagged referrer, confirmed or still on hold
+async function revokeAllReferrals(referrerId) {
+  const referred = await User.find({ referredBy: referrerId, referralRevoked: { $ne: true } });
+  let revoked = 0;
+  
+  for (const user of referred) {
+    if (user.referralCounted) {
+      if (await revokeReferral(user, 'was removed after a referral review')) revoked++;
+    } else if (user.referralHeldAt) {
+      await User.updateOne({ userId: user.userId }, { referralHeldAt: null, referralRevoked: true });
+      await recordReferralEvent('referral_revoked', user, { reason: 'review' });
+      revoked++;
+    }
+  }
+  
+  return revoked;
+}
+
+function formatReview(referrer) {
+  const review = referrer.referralReview;
+  return (
+    `🚩 ${referrer.firstName} ${referrer.username ? `(@${referrer.username}) ` : ''}- ${referrer.userId}\n` +
+    `Referrals: ${referrer.inviteCount}\n` +
+    `Flagged: ${review.flaggedAt.toLocaleString()}\n\n` +
+    review.reasons.map(reason => `• ${reason}`).join('\n')
+  );
+}
+
+commandRouter.register('referral_reviews', { permission: 'users' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const flagged = await User.find({ 'referralReview.status': 'pending' }).sort({ 'referralReview.flaggedAt': 1 }).limit(10);
+    
+    if (flagged.length === 0) {
+      return bot.sendMessage(chatId, '✅ No referrers waiting for review.');
+    }
+    
+    await bot.sendMessage(chatId, `🚩 Referral Review Queue (${flagged.length}):`);
+    
+    for (const referrer of flagged) {
+      await bot.sendMessage(chatId, formatReview(referrer), {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Clear', callback_data: `refrev_clear_${referrer.userId}` },
+            { text: '↩️ Revoke all', callback_data: `refrev_revoke_${referrer.userId}` },
+            { text: '⛔ Revoke & block', callback_data: `refrev_block_${referrer.userId}` }
+          ]]
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Referral reviews error:', error);
+    bot.sendMessage(chatId, 'Error fetching referral reviews.');
+  }
+});
+
+commandRouter.registerCallback('refrev_', { permission: 'users', audit: true }, async (callbackQuery, rest) => {
+  const chatId = callbackQuery.message.chat.id;
+  const match = rest.match(/^(clear|revoke|block)_(\d+)$/);
+  if (!match) {
+    return bot.answerCallbackQuery(callbackQuery.id);
+  }
+  
+  const action = match[1];
+  const referrerId = parseInt(match[2]);
+  
+  try {
+    // Only one admin can act on a review
+    const referrer = await User.findOneAndUpdate(
+      { userId: referrerId, 'referralReview.status': 'pending' },
+      {
+        'referralReview.status': action === 'clear' ? 'cleared' : 'penalized',
+        'referralReview.reviewedBy': callbackQuery.from.id,
+        'referralReview.reviewedAt': new Date(),
+        ...(action === 'block' ? { isBlocked: true } : {})
+      },
+      { new: true }
+    );
+    
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: chatId,
+      message_id: callbackQuery.message.message_id
+    }).catch(() => {});
+    
+    if (!referrer) {
+      return bot.answerCallbackQuery(callbackQuery.id, { text: 'Already reviewed', show_alert: true });
+    }
+    
+    await bot.answerCallbackQuery(callbackQuery.id, { text: 'Review saved' });
+    callbackQuery.audit.before = { userId: referrerId, reviewStatus: 'pending', inviteCount: referrer.inviteCount };
+    callbackQuery.audit.after = { userId: referrerId, reviewStatus: referrer.referralReview.status, isBlocked: !!referrer.isBlocked };
+    
+    if (action === 'clear') {
+      return bot.sendMessage(chatId, `✅ ${referrer.firstName} cleared. Their held referrals will be confirmed.`);
+    }
+    
+    if (action === 'block') {
+      await recordReferralEvent('blocked', referrer, { source: 'admin', by: callbackQuery.from.id });
+    }
+    
+    const revoked = await revokeAllReferrals(referrerId);
+    callbackQuery.audit.after.referralsRevoked = revoked;
+    bot.sendMessage(chatId,
+      `↩️ ${referrer.firstName}: ${revoked} referrals revoked` +
+      `${action === 'block' ? '\n⛔ User blocked' : ''}`
+    );
+  } catch (error) {
+    console.error('Referral review action error:', error);
+    callbackQuery.audit.error = error.message;
+    bot.sendMessage(chatId, `Error saving review: ${error.message}`);
+  }
+});
+
+module.exports = {
+  REFERRAL_HOLD_MINUTES,
+  registerReferralJoin,
+  handleReferredUserLeft,
+  confirmHeldReferrals,
+  findFraudSignals
+};
@@ -0,0 +1,141 @@
+// Reward queue integrity checks for StitchVault Bot
+// Finds gaps, previews without downloads (and the reverse), duplicate slots and
+// unposted rewards stranded behind the posting pointer.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { channelLabel, getChannels, getAdminChannel } = require('./channels');
+
+async function auditRewards(channel) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const lastPosted = stats.lastPostedSequence || 0;
+  
+  const slots = await Reward.aggregate([
+    { $match: { channel: channel.key } },
+    {
+      $group: {
+        _id: { sequenceNumber: '$sequenceNumber', isImageFile: '$isImageFile', itemKey: { $ifNull: ['$itemKey', ''] } },
+        count: { $sum: 1 },
+        unposted: { $sum: { $cond: ['$posted', 0, 1] } }
+      }
+    }
+  ]);
+  
+  const sequences = new Map();
+  const duplicates = [];
+  
+  for (const slot of slots) {
+    const { sequenceNumber, isImageFile, itemKey } = slot._id;
+    if (!sequences.has(sequenceNumber)) {
+      sequences.set(sequenceNumber, { preview: false, download: false, unposted: 0 });
+    }
+    
+    const entry = sequences.get(sequenceNumber);
+    entry[isImageFile ? 'preview' : 'download'] = true;
+    entry.unposted += slot.unposted;
+    
+    if (slot.count > 1) {
+      duplicates.push({ sequenceNumber, isImageFile, itemKey, count: slot.count });
+    }
+  }
+  
+  // Sequence 0 is the welcome bonus and isn't part of the posting queue
+  const numbers = [...sequences.keys()].filter(n => n > 0).sort((a, b) => a - b);
+  const highestSequence = numbers.length > 0 ? numbers[numbers.length - 1] : 0;
+  
+  const gaps = [];
+  for (let n = 1; n <= highestSequence; n++) {
+    if (!sequences.has(n)) gaps.push(n);
+  }
+  
+  const previewOnly = numbers.filter(n => !sequences.get(n).download);
+  const downloadOnly = numbers.filter(n => !sequences.get(n).preview);
+  const stranded = numbers.filter(n => n <= lastPosted && sequences.get(n).unposted > 0);
+  
+  // The gap that stops posting: first missing number after the last posted one
+  const blockingGap = gaps.find(n => n > lastPosted && n < highestSequence) || null;
+  
+  return {
+    channel,
+    lastPosted,
+    highestSequence,
+    totalSequences: numbers.length,
+    gaps,
+    blockingGap,
+    previewOnly,
+    downloadOnly,
+    duplicates,
+    stranded,
+    hasIssues: gaps.length + previewOnly.length + downloadOnly.length + duplicates.length + stranded.length > 0
+  };
+}
+
+function formatSequenceList(numbers, limit = 30) {
+  const shown = numbers.slice(0, limit).map(n => `#${n}`).join(', ');
+  return numbers.length > limit ? `${shown} ...and ${numbers.length - limit} more` : shown;
+}
+
+function formatRewardAudit(audit) {
+  let message =
+    `🔎 Reward Queue Audit - ${channelLabel(audit.channel)}\n\n` +
+    `Sequences uploaded: ${audit.totalSequences}\n` +
+    `Highest sequence: ${audit.highestSequence}\n` +
+    `Last posted: ${audit.lastPosted}\n` +
+    `Gap policy: ${SKIP_SEQUENCE_GAPS ? 'skip missing sequences' : 'stop at missing sequences'}\n`;
+  
+  if (!audit.hasIssues) {
+    return message + `\n✅ No problems found.`;
+  }
+  
+  if (audit.blockingGap) {
+    message += SKIP_SEQUENCE_GAPS
+      ? `\n⏭ Sequence ${audit.blockingGap} is missing and will be skipped.\n`
+      : `\n⛔ Posting is blocked: sequence ${audit.blockingGap} is missing.\n`;
+  }
+  if (audit.gaps.length > 0) {
+    message += `\n🕳 Missing sequences: ${formatSequenceList(audit.gaps)}\n`;
+  }
+  if (audit.previewOnly.length > 0) {
+    message += `\n🖼 Preview without download: ${formatSequenceList(audit.previewOnly)}\n`;
+  }
+  if (audit.downloadOnly.length > 0) {
+    message += `\n📄 Download without preview: ${formatSequenceList(audit.downloadOnly)}\n`;
+  }
+  if (audit.duplicates.length > 0) {
+    message += `\n♊ Duplicates:\n` + audit.duplicates.slice(0, 20).map(d =>
+      `• #${d.sequenceNumber} ${d.isImageFile ? 'preview' : 'download'}${d.itemKey ? ` ${d.itemKey}` : ''} x${d.count}`
+    ).join('\n') + `\n`;
+  }
+  if (audit.stranded.length > 0) {
+    message += `\n⚠️ Unposted but behind last posted (never sent): ${formatSequenceList(audit.stranded)}\n`;
+  }
+  
+  return message;
+}
+
+// Warn admins on startup when a channel's queue has problems
+async function runStartupRewardAudit() {
+  try {
+    for (const channel of await getChannels()) {
+      const audit = await auditRewards(channel);
+      if (audit.hasIssues) {
+        await notifyAdmins(`🚀 Bot started\n\n${formatRewardAudit(audit)}`);
+      }
+    }
+  } catch (error) {
+    console.error('Startup reward audit error:', error);
+  }
+}
+
+commandRouter.register('audit_rewards', { permission: 'content' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const audit = await auditRewards(await getAdminChannel(msg.from.id));
+    await bot.sendMessage(chatId, formatRewardAudit(audit));
+  } catch (error) {
+    console.error('Audit rewards error:', error);
+    bot.sendMessage(chatId, 'Error auditing rewards.');
+  }
+});
+
+module.exports = { auditRewards, formatRewardAudit, runStartupRewardAudit };
@@ -0,0 +1,262 @@
+// Reward sequence reordering for StitchVault Bot
+// Move, swap, insert and compact sequence numbers without re-uploading files.
+// Posted rewards are never renumbered, and unposted ones never moved to or below the last
+// posted sequence (where the queue would never reach them), unless the admin adds "force".
+// Commands act on the admin's channel from /use_channel.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const { channelLabel, getAdminChannel } = require('./channels');
+const { ScheduledPost } = require('./scheduled_posts');
+
+const REORDER_ARGS = /^(\d+)\s+(\d+)(?:\s+(force))?$/i;
+
+function listSequences(numbers) {
+  return [...new Set(numbers)].sort((a, b) => a - b).join(', ');
+}
+
+// Apply an old -> new sequence mapping to every affected reward in one bulkWrite, and move
+// lastPostedSequence with it. The mapping must be a permutation of the affected slots (or move
+// into empty ones). newPointer overrides where the pointer lands; by default it follows its sequence.
+// Pending scheduled posts follow their sequence too, so they still post the same files.
+// Returns { updated, notes } - notes are warnings and pointer changes for the reply.
+async function renumberSequences(channel, mapping, force, newPointer = null) {
+  const changes = [...mapping].filter(([from, to]) => from !== to);
+  if (changes.length === 0) return { updated: 0, notes: [] };
+  
+  const rewards = await Reward.find({ channel: channel.key, sequenceNumber: { $in: changes.map(([from]) => from) } });
+  
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const pointer = stats.lastPostedSequence || 0;
+  const pointerTo = newPointer ?? mapping.get(pointer) ?? pointer;
+  
+  const postedSequences = rewards.filter(r => r.posted).map(r => r.sequenceNumber);
+  const stranded = rewards.filter(r => !r.posted && mapping.get(r.sequenceNumber) <= pointerTo).map(r => mapping.get(r.sequenceNumber));
+  
+  if (!force) {
+    if (postedSequences.length > 0) {
+      throw new Error(
+        `Already posted: ${listSequences(postedSequences)}. ` +
+        `Add "force" to renumber them anyway.`
+      );
+    }
+    if (stranded.length > 0) {
+      throw new Error(
+        `Unposted files would land in ${listSequences(stranded)}, at or below the last posted sequence (${pointerTo}), ` +
+        `and never be posted. Add "force" to do it anyway.`
+      );
+    }
+  }
+  
+  if (rewards.length === 0) return { updated: 0, notes: [] };
+  
+  await Reward.bulkWrite(rewards.map(reward => ({
+    updateOne: {
+      filter: { _id: reward._id },
+      update: { $set: { sequenceNumber: mapping.get(reward.sequenceNumber) } }
+    }
+  })));
+  
+  const notes = [];
+  const schedules = await ScheduledPost.find({
+    channel: channel.key,
+    status: 'pending',
+    sequenceNumber: { $in: changes.map(([from]) => from) }
+  });
+  if (schedules.length > 0) {
+    await ScheduledPost.bulkWrite(schedules.map(schedule => ({
+      updateOne: {
+        filter: { _id: schedule._id, status: 'pending' },
+        update: { $set: { sequenceNumber: mapping.get(schedule.sequenceNumber) } }
+      }
+    })));
+    notes.push(`📅 Scheduled posts moved along: ${schedules.map(schedule =>
+      `#${schedule.scheduleId} ${schedule.sequenceNumber} → ${mapping.get(schedule.sequenceNumber)}`).join(', ')}`);
+  }
+  
+  if (pointerTo !== pointer) {
+    // Compare-and-set, so a post that landed meanwhile isn't overwritten
+    const moved = await Stats.updateOne({ channel: channel.key, lastPostedSequence: pointer }, { lastPostedSequence: pointerTo });
+    notes.push(moved.modifiedCount === 1
+      ? `⏩ Last posted sequence: ${pointer} → ${pointerTo}`
+      : `⚠️ A post moved the last posted sequence meanwhile - check it with /stats_admin`
+    );
+  }
+  if (stranded.length > 0) {
+    notes.push(`⚠️ Unposted files in ${listSequences(stranded)} are at or below the last posted sequence and won't be posted.`);
+  }
+  
+  return { updated: rewards.length, notes };
+}
+
+async function existingSequences(channel, filter = {}) {
+  const numbers = await Reward.distinct('sequenceNumber', { ...filter, channel: channel.key });
+  return numbers.sort((a, b) => a - b);
+}
+
+function assertQueueSequence(...numbers) {
+  if (numbers.some(n => n < 1)) {
+    throw new Error('Sequence 0 is the welcome bonus and can\'t be reordered.');
+  }
+}
+
+// Move into an empty slot, or array-style into an occupied one:
+// the sequences between the two slots then shift by one to make room
+async function moveSequence(channel, from, to, force) {
+  assertQueueSequence(from, to);
+  if (!await Reward.exists({ channel: channel.key, sequenceNumber: from })) {
+    throw new Error(`Sequence ${from} has no files in ${channelLabel(channel)}.`);
+  }
+  
+  const mapping = new Map([[from, to]]);
+  if (!await Reward.exists({ channel: channel.key, sequenceNumber: to })) {
+    return renumberSequences(channel, mapping, force);
+  }
+  
+  const low = Math.min(from, to);
+  const high = Math.max(from, to);
+  const step = from < to ? -1 : 1;
+  
+  for (const n of await existingSequences(channel, { sequenceNumber: { $gte: low, $lte: high } })) {
+    if (n !== from) mapping.set(n, n + step);
+  }
+  
+  return renumberSequences(channel, mapping, force);
+}
+
+async function swapSequences(channel, a, b, force) {
+  assertQueueSequence(a, b);
+  return renumberSequences(channel, new Map([[a, b], [b, a]]), force);
+}
+
+// Shift every sequence from `at` upwards by one, leaving `at` empty for new files
+async function insertSequence(channel, at, force) {
+  assertQueueSequence(at);
+  
+  const mapping = new Map();
+  for (const n of await existingSequences(channel, { sequenceNumber: { $gte: at } })) {
+    mapping.set(n, n + 1);
+  }
+  
+  return renumberSequences(channel, mapping, force);
+}
+
+// Close gaps. Without force only the unposted part of the queue is renumbered.
+// With force the pointer moves down with the sequences it covered.
+async function compactSequences(channel, force) {
+  const stats = await Stats.findOne({ channel: channel.key }) || {};
+  const pointer = stats.lastPostedSequence || 0;
+  const base = force ? 0 : pointer;
+  
+  const mapping = new Map();
+  let next = base + 1;
+  let pointerTo = base;
+  for (const n of await existingSequences(channel, { sequenceNumber: { $gt: base } })) {
+    if (n <= pointer) pointerTo = next;
+    mapping.set(n, next++);
+  }
+  
+  return renumberSequences(channel, mapping, force, pointerTo);
+}
+
+// Reward ids per sequence, for the audit log: { channel, sequences: { 3: [12, 13] } }
+async function queueSnapshot(channel) {
+  const rewards = await Reward.find({ channel: channel.key }).select('rewardId sequenceNumber').lean();
+  const sequences = {};
+  rewards.forEach(reward => {
+    (sequences[reward.sequenceNumber] = sequences[reward.sequenceNumber] || []).push(reward.rewardId);
+  });
+  return { channel: channel.key, sequences };
+}
+
+function registerReorderCommand(name, usage, run) {
+  commandRouter.register(name, { permission: 'content', audit: true, args: REORDER_ARGS, usage }, async (msg, match) => {
+    const chatId = msg.chat.id;
+    
+    try {
+      const channel = await getAdminChannel(msg.from.id);
+      msg.audit.before = await queueSnapshot(channel);
+      const summary = await run(channel, parseInt(match[1]), parseInt(match[2]), Boolean(match[3]));
+      await updateStats();
+      msg.audit.after = await queueSnapshot(channel);
+      bot.sendMessage(chatId, `${summary}\n\nCheck the queue with /audit_rewards`);
+    } catch (error) {
+      console.error(`${name} error:`, error);
+      msg.audit.error = error.message;
+      bot.sendMessage(chatId, `❌ ${error.message}`);
+    }
+  });
+}
+
+registerReorderCommand('move_sequence', '/move_sequence <from> <to> [force]', async (channel, from, to, force) => {
+  const { updated, notes } = await moveSequence(channel, from, to, force);
+  return [`✅ Moved sequence ${from} to ${to} in ${channelLabel(channel)}`, `Files renumbered: ${updated}`, ...notes].join('\n');
+});
+
+registerReorderCommand('swap_sequence', '/swap_sequence <a> <b> [force]', async (channel, a, b, force) => {
+  const { updated, notes } = await swapSequences(channel, a, b, force);
+  return [`✅ Swapped sequences ${a} and ${b} in ${channelLabel(channel)}`, `Files renumbered: ${updated}`, ...notes].join('\n');
+});
+
+commandRouter.register('insert_sequence', {
+  permission: 'content',
+  audit: true,
+  args: /^(\d+)(?:\s+(force))?$/i,
+  usage: '/insert_sequence <n> [force]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const at = parseInt(match[1]);
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    msg.audit.before = await queueSnapshot(channel);
+    const { updated, notes } = await insertSequence(channel, at, Boolean(match[2]));
+    await updateStats();
+    msg.audit.after = await queueSnapshot(channel);
+    
+    const stats = await Stats.findOne({ channel: channel.key }) || {};
+    if (at <= (stats.lastPostedSequence || 0)) {
+      notes.push(`⚠️ Sequence ${at} is at or below the last posted sequence, so files uploaded there won't be posted.`);
+    }
+    
+    bot.sendMessage(chatId,
+      `✅ Sequence ${at} is now free in ${channelLabel(channel)}\n` +
+      `Files shifted up by one: ${updated}\n` +
+      `${notes.map(note => `${note}\n`).join('')}\n` +
+      `Upload "${at}.jpg" and "${at}.zip" with /bulk_upload_files to fill it.`
+    );
+  } catch (error) {
+    console.error('insert_sequence error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+commandRouter.register('compact_sequences', {
+  permission: 'content',
+  audit: true,
+  args: /^(force)?$/i,
+  usage: '/compact_sequences [force]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const channel = await getAdminChannel(msg.from.id);
+    msg.audit.before = await queueSnapshot(channel);
+    const { updated, notes } = await compactSequences(channel, Boolean(match[1]));
+    await updateStats();
+    if (updated > 0) {
+      msg.audit.after = await queueSnapshot(channel);
+    }
+    bot.sendMessage(chatId,
+      updated > 0
+        ? `✅ Sequences compacted in ${channelLabel(channel)}\nFiles renumbered: ${updated}\n${notes.map(note => `${note}\n`).join('')}\nCheck the queue with /audit_rewards`
+        : `✅ Nothing to compact - the queue has no gaps.`
+    );
+  } catch (error) {
+    console.error('compact_sequences error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+module.exports = { moveSequence, swapSequences, insertSequence, compactSequences };
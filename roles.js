@@ -0,0 +1,238 @@
+// Staff roles and permissions for StitchVault Bot
+// Every admin command declares the permission it needs (see command_router.js) and each role
+// grants a fixed set of permissions. Owners are set in /settings; everyone else's
+// role lives in the StaffRole collection and is granted or revoked by an owner with /grant and /revoke.
+// Denied attempts are kept in DeniedAttempt and listed with /denied.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { getSetting } = require('./settings');
+
+const PERMISSIONS = {
+  view: 'Admin menu and channel picker',
+  analytics: 'Statistics, reports and logs',
+  users: 'View, block and reset users, review referrals',
+  content: 'Upload, edit, reorder and delete rewards',
+  posting: 'Post, schedule, catch up and retract channel posts',
+  broadcast: 'Compose, schedule and cancel broadcasts',
+  channels: 'Add and configure channels',
+  settings: 'Edit bot settings',
+  danger: 'Reset counters and sequences, export the database',
+  audit: 'Read the admin audit log',
+  roles: 'Grant and revoke roles'
+};
+
+const ROLES = {
+  owner: Object.keys(PERMISSIONS),
+  content_manager: ['view', 'analytics', 'content', 'posting'],
+  moderator: ['view', 'analytics', 'users'],
+  analyst: ['view', 'analytics']
+};
+
+// Roles /grant can hand out; owners are edited in /settings
+const GRANTABLE_ROLES = Object.keys(ROLES).filter(role => role !== 'owner');
+
+// Staff Role Schema
+const staffRoleSchema = new mongoose.Schema({
+  userId: { type: Number, required: true, unique: true },
+  role: { type: String, enum: GRANTABLE_ROLES, required: true },
+  grantedBy: Number,
+  grantedAt: { type: Date, default: Date.now }
+});
+
+const StaffRole = mongoose.model('StaffRole', staffRoleSchema);
+
+// Denied Attempt Schema - never updated
+const deniedAttemptSchema = new mongoose.Schema({
+  userId: { type: Number, required: true },
+  action: String,     // "/broadcast" or a callback prefix
+  permission: String,
+  role: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+});
+
+deniedAttemptSchema.index({ at: -1 });
+
+const DeniedAttempt = mongoose.model('DeniedAttempt', deniedAttemptSchema);
+
+// userId -> role, so permission checks stay synchronous
+const staffRoles = new Map();
+
+async function loadRoles() {
+  try {
+    const roles = await StaffRole.find();
+    staffRoles.clear();
+    roles.forEach(staff => staffRoles.set(staff.userId, staff.role));
+    console.log(`Loaded ${roles.length} staff roles`);
+  } catch (error) {
+    console.error('Roles load error:', error);
+  }
+}
+
+// 'owner', a granted role, or null for regular users
+function getRole(userId) {
+  if (getSetting('adminIds').includes(userId)) return 'owner';
+  return staffRoles.get(userId) || null;
+}
+
+function roleHasPermission(role, permission) {
+  return !!role && ROLES[role].includes(permission);
+}
+
+function formatRole(role) {
+  return role ? role.replace('_', ' ') : 'none';
+}
+
+// Never throws - logging a denial must not break the reply
+async function recordDeniedAttempt({ userId, action, permission }) {
+  const role = getRole(userId);
+  console.warn(`Denied ${action} to ${userId} (role: ${formatRole(role)}, needs: ${permission})`);
+  
+  try {
+    await DeniedAttempt.create({ userId, action, permission, role });
+  } catch (error) {
+    console.error('Denied attempt log error:', error.message);
+  }
+}
+
+commandRouter.register('staff', { permission: 'roles' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const staff = await StaffRole.find().sort({ role: 1, grantedAt: 1 });
+    
+    let message = `👮 Staff\n\n👑 Owners (/settings): ${getSetting('adminIds').join(', ')}\n\n`;
+    if (staff.length === 0) {
+      message += `No other roles granted yet.\n\n`;
+    }
+    for (const member of staff) {
+      const user = await User.findOne({ userId: member.userId });
+      message +=
+        `${formatRole(member.role)}: ${user ? `${user.firstName} ` : ''}(${member.userId})\n` +
+        `Granted by ${member.grantedBy} on ${member.grantedAt.toDateString()}\n\n`;
+    }
+    
+    message += `🔑 Roles:\n`;
+    for (const [role, permissions] of Object.entries(ROLES)) {
+      message += `${formatRole(role)}: ${permissions.join(', ')}\n`;
+    }
+    message += `\n/grant <user id> <role> | /revoke <user id> | /denied`;
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Staff list error:', error);
+    bot.sendMessage(chatId, 'Error fetching staff.');
+  }
+});
+
+commandRouter.register('grant', {
+  permission: 'roles',
+  audit: true,
+  args: /^(\d+)\s+([a-z_]+)$/i,
+  usage: `/grant <user id> <${GRANTABLE_ROLES.join('|')}>`
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const targetUserId = parseInt(match[1]);
+  const role = match[2].toLowerCase();
+  
+  try {
+    if (!GRANTABLE_ROLES.includes(role)) {
+      return bot.sendMessage(chatId,
+        `❌ Unknown role "${role}". Roles: ${GRANTABLE_ROLES.join(', ')}\n` +
+        `Owners are edited with /settings.`
+      );
+    }
+    if (getRole(targetUserId) === 'owner') {
+      return bot.sendMessage(chatId, '❌ That user is an owner. Remove them from Owners in /settings first.');
+    }
+    
+    msg.audit.before = { userId: targetUserId, role: getRole(targetUserId) };
+    await StaffRole.findOneAndUpdate(
+      { userId: targetUserId },
+      { role, grantedBy: msg.from.id, grantedAt: new Date() },
+      { upsert: true }
+    );
+    staffRoles.set(targetUserId, role);
+    msg.audit.after = { userId: targetUserId, role };
+    
+    bot.sendMessage(chatId, `✅ ${targetUserId} is now a ${formatRole(role)} (${ROLES[role].join(', ')}).`);
+    bot.sendMessage(targetUserId, `🛠 You were made a StitchVault ${formatRole(role)}. Send /admin to see your commands.`)
+      .catch(() => {}); // they may not have started the bot yet
+  } catch (error) {
+    console.error('Grant role error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, 'Error granting role.');
+  }
+});
+
+commandRouter.register('revoke', {
+  permission: 'roles',
+  audit: true,
+  args: /^(\d+)$/,
+  usage: '/revoke <user id>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const targetUserId = parseInt(match[1]);
+  
+  try {
+    if (getRole(targetUserId) === 'owner') {
+      return bot.sendMessage(chatId, '❌ Owners are removed in /settings.');
+    }
+    
+    const removed = await StaffRole.findOneAndDelete({ userId: targetUserId });
+    staffRoles.delete(targetUserId);
+    if (removed) {
+      msg.audit.before = { userId: targetUserId, role: removed.role };
+      msg.audit.after = { userId: targetUserId, role: null };
+    }
+    
+    bot.sendMessage(chatId, removed
+      ? `✅ Revoked ${formatRole(removed.role)} from ${targetUserId}.`
+      : `${targetUserId} has no role.`
+    );
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, 'Error revoking role.');
+  }
+});
+
+commandRouter.register('denied', {
+  permission: 'roles',
+  args: /^(\d+)?$/,
+  usage: '/denied [n]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const limit = Math.min(parseInt(match[1]) || 20, 50);
+  
+  try {
+    const attempts = await DeniedAttempt.find().sort({ at: -1 }).limit(limit);
+    if (attempts.length === 0) {
+      return bot.sendMessage(chatId, '🚫 No denied attempts recorded.');
+    }
+    
+    let message = `🚫 Denied Attempts (last ${attempts.length})\n\n`;
+    attempts.forEach(attempt => {
+      message +=
+        `${attempt.at.toLocaleString()} - ${attempt.action}\n` +
+        `User ${attempt.userId} (${formatRole(attempt.role)}) needs ${attempt.permission}\n\n`;
+    });
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Denied attempts error:', error);
+    bot.sendMessage(chatId, 'Error fetching denied attempts.');
+  }
+});
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  StaffRole,
+  DeniedAttempt,
+  loadRoles,
+  getRole,
+  roleHasPermission,
+  formatRole,
+  recordDeniedAttempt
+};
@@ -0,0 +1,257 @@
+// Scheduled channel posts for StitchVault Bot
+// Admins queue a specific sequence for a fixed local date and time; a cron job in
+// index.js calls runDueScheduledPosts every minute to fire them.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+const { channelLabel, getChannel, getAdminChannel } = require('./channels');
+
+// Dates typed by admins are read in this IANA time zone, e.g. "Asia/Kolkata"
+const BOT_TIMEZONE = process.env.BOT_TIMEZONE || 'UTC';
+// A run claimed this long ago without finishing was interrupted (crash or restart)
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+// Scheduled Post Schema
+const scheduledPostSchema = new mongoose.Schema({
+  scheduleId: { type: Number, required: true, unique: true },
+  channel: { type: String, default: PRIMARY_CHANNEL_KEY },
+  sequenceNumber: { type: Number, required: true },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'running', 'posted', 'failed', 'cancelled'], default: 'pending' },
+  createdBy: Number,
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null }, // When the current "running" claim was taken
+  finishedAt: { type: Date, default: null },
+  result: String
+});
+
+scheduledPostSchema.index({ status: 1, runAt: 1 });
+
+const ScheduledPost = mongoose.model('ScheduledPost', scheduledPostSchema);
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+function timeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2025-06-13 19:30" in BOT_TIMEZONE -> Date, or null when it isn't a valid date
+function parseLocalDateTime(dateText, timeText) {
+  const dateMatch = dateText.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const timeMatch = timeText.match(/^(\d{1,2}):(\d{2})$/);
+  if (!dateMatch || !timeMatch) return null;
+  
+  const [year, month, day] = dateMatch.slice(1).map(Number);
+  const [hour, minute] = timeMatch.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Date.UTC rolls days past the end of the month over (2025-02-31 -> March 3)
+  const built = new Date(wallClock);
+  if (built.getUTCMonth() !== month - 1 || built.getUTCDate() !== day) return null;
+  const guess = new Date(wallClock - timeZoneOffset(new Date(wallClock), BOT_TIMEZONE));
+  // Re-check the offset at the guessed instant so dates across a DST change land correctly
+  return new Date(wallClock - timeZoneOffset(guess, BOT_TIMEZONE));
+}
+
+function formatLocal(date) {
+  return date.toLocaleString('en-GB', { timeZone: BOT_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+async function nextScheduleId() {
+  const last = await ScheduledPost.findOne().sort({ scheduleId: -1 });
+  return (last?.scheduleId || 0) + 1;
+}
+
+// Fire every pending post whose time has come. Each one is claimed atomically first,
+// so overlapping runs never post the same schedule twice.
+async function runDueScheduledPosts() {
+  await recoverScheduledPosts();
+  
+  while (true) {
+    const schedule = await ScheduledPost.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      { status: 'running', startedAt: new Date() },
+      { new: true, sort: { runAt: 1 } }
+    );
+    if (!schedule) return;
+    
+    try {
+      const channel = await getChannel(schedule.channel);
+      if (!channel) {
+        throw new Error(`Channel "${schedule.channel}" no longer exists`);
+      }
+      
+      const stats = await Stats.findOne({ channel: channel.key }) || {};
+      const memberCount = stats.communityMemberCount || 0;
+      const lastPosted = stats.lastPostedSequence || 0;
+      
+      // Only the sequence the queue would post next moves the pointer forward.
+      // The rewards themselves are claimed one by one, so a queue post racing this one can't resend them.
+      const movesPointer = schedule.sequenceNumber === lastPosted + 1 &&
+        await claimPostingSlot(channel, lastPosted, schedule.sequenceNumber);
+      
+      const result = await postSequenceToChannel(channel, schedule.sequenceNumber, memberCount, { isManual: true });
+      // A result with no message ids means every send failed
+      const sent = !!(result && (result.imageMessageId || result.fileMessageId));
+      
+      if (movesPointer && !sent) {
+        await releasePostingSlot(channel, lastPosted, schedule.sequenceNumber);
+      }
+      
+      schedule.status = sent ? 'posted' : 'failed';
+      schedule.result = result ? result.results.join('\n') : 'No unposted files for this sequence';
+      schedule.finishedAt = new Date();
+      await schedule.save();
+      
+      await notifyAdmins(
+        `${sent ? '📅 Scheduled post sent!' : result ? '❌ Scheduled post failed to send!' : '⚠️ Scheduled post skipped!'}\n\n` +
+        `Schedule #${schedule.scheduleId}\n` +
+        `Channel: ${channelLabel(channel)}\n` +
+        `Sequence: ${schedule.sequenceNumber}\n` +
+        `Community members: ${memberCount}\n\n` +
+        schedule.result
+      );
+    } catch (error) {
+      console.error(`Scheduled post ${schedule.scheduleId} error:`, error);
+      schedule.status = 'failed';
+      schedule.result = error.message;
+      schedule.finishedAt = new Date();
+      await schedule.save();
+      await notifyAdmins(`❌ Scheduled post #${schedule.scheduleId} failed: ${error.message}`);
+    }
+  }
+}
+
+// Posts left "running" by a crash mid-post go back to pending, on startup and before each run.
+// Only stale claims: a fresh one may belong to another bot instance that is posting right now.
+async function recoverScheduledPosts() {
+  try {
+    const result = await ScheduledPost.updateMany(
+      { status: 'running', $or: [{ startedAt: null }, { startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }] },
+      { status: 'pending', startedAt: null }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Re-queued ${result.modifiedCount} interrupted scheduled posts`);
+    }
+  } catch (error) {
+    console.error('Scheduled post recovery error:', error);
+  }
+}
+
+commandRouter.register('schedule_post', {
+  permission: 'posting',
+  audit: true,
+  args: /^(\d+)\s+(\S+)\s+(\S+)$/,
+  usage: `/schedule_post <sequence> <YYYY-MM-DD> <HH:MM>  (time zone: ${BOT_TIMEZONE})`
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const sequenceNumber = parseInt(match[1]);
+  
+  try {
+    // Inside the try: a bad BOT_TIMEZONE makes Intl throw a RangeError
+    const runAt = parseLocalDateTime(match[2], match[3]);
+    if (!runAt) {
+      msg.audit.error = 'Invalid date or time';
+      return bot.sendMessage(chatId, `❌ Invalid date or time. Use YYYY-MM-DD HH:MM (${BOT_TIMEZONE}).`);
+    }
+    if (runAt <= new Date()) {
+      msg.audit.error = 'Time is in the past';
+      return bot.sendMessage(chatId, '❌ That time is in the past.');
+    }
+    const channel = await getAdminChannel(msg.from.id);
+    if (!await Reward.exists({ channel: channel.key, sequenceNumber, posted: false })) {
+      msg.audit.error = 'No unposted files in sequence';
+      return bot.sendMessage(chatId, `❌ Sequence ${sequenceNumber} has no unposted files in ${channelLabel(channel)}.`);
+    }
+    
+    const schedule = await ScheduledPost.create({
+      scheduleId: await nextScheduleId(),
+      channel: channel.key,
+      sequenceNumber,
+      runAt,
+      createdBy: msg.from.id
+    });
+    msg.audit.after = { scheduleId: schedule.scheduleId, channel: channel.key, sequenceNumber, runAt };
+    
+    bot.sendMessage(chatId,
+      `📅 Post scheduled!\n\n` +
+      `Schedule #${schedule.scheduleId}\n` +
+      `Channel: ${channelLabel(channel)}\n` +
+      `Sequence: ${sequenceNumber}\n` +
+      `When: ${formatLocal(runAt)} (${BOT_TIMEZONE})\n\n` +
+      `List: /scheduled_posts\n` +
+      `Cancel: /cancel_scheduled ${schedule.scheduleId}`
+    );
+  } catch (error) {
+    console.error('Schedule post error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, `Error scheduling post: ${error.message}`);
+  }
+});
+
+commandRouter.register('scheduled_posts', { permission: 'posting' }, async (msg) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    const schedules = await ScheduledPost.find({ status: { $in: ['pending', 'running'] } }).sort({ runAt: 1 }).limit(20);
+    
+    if (schedules.length === 0) {
+      return bot.sendMessage(chatId, 'No scheduled posts.');
+    }
+    
+    let message = `📅 Scheduled Posts (${BOT_TIMEZONE}):\n\n`;
+    
+    schedules.forEach(schedule => {
+      message +=
+        `#${schedule.scheduleId} - ${schedule.channel} sequence ${schedule.sequenceNumber}\n` +
+        `${formatLocal(schedule.runAt)}${schedule.status === 'running' ? ' (posting now)' : ''}\n\n`;
+    });
+    
+    await bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Scheduled posts list error:', error);
+    bot.sendMessage(chatId, 'Error fetching scheduled posts.');
+  }
+});
+
+commandRouter.register('cancel_scheduled', {
+  permission: 'posting',
+  audit: true,
+  args: /^(\d+)$/,
+  usage: '/cancel_scheduled <id>'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const scheduleId = parseInt(match[1]);
+  
+  try {
+    const schedule = await ScheduledPost.findOneAndUpdate(
+      { scheduleId, status: 'pending' },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!schedule) {
+      msg.audit.error = 'No pending scheduled post with that id';
+      return bot.sendMessage(chatId, 'No pending scheduled post with that id.');
+    }
+    msg.audit.before = { scheduleId, status: 'pending' };
+    msg.audit.after = { scheduleId, status: 'cancelled' };
+    
+    bot.sendMessage(chatId, `❌ Scheduled post #${scheduleId} (sequence ${schedule.sequenceNumber}) cancelled.`);
+  } catch (error) {
+    console.error('Cancel scheduled post error:', error);
+    msg.audit.error = error.message;
+    bot.sendMessage(chatId, 'Error cancelling scheduled post.');
+  }
+});
+
+module.exports = { ScheduledPost, BOT_TIMEZONE, parseLocalDateTime, formatLocal, runDueScheduledPosts, recoverScheduledPosts };
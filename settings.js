@@ -0,0 +1,353 @@
+// Runtime settings for StitchVault Bot
+// Members per reward, auto-post interval, channel username and the owner list live in the
+// Settings collection so they can be changed with /settings without a redeploy. The env vars
+// are only the defaults used until a value is saved. Every change is kept in SettingChange and the audit log.
+// Loaded from index.js after the shared models and helpers are exported on `global`.
+
+const mongoose = require('mongoose');
+
+const EDIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+function parseAdminIds(text) {
+  return text.split(/[\s,]+/).filter(Boolean).map(id => parseInt(id));
+}
+
+// parse turns the admin's text into a value; validate returns an error message or null
+const SETTING_DEFINITIONS = {
+  invitesPerReward: {
+    label: 'Members per reward',
+    env: 'INVITES_PER_REWARD',
+    defaultValue: parseInt(process.env.INVITES_PER_REWARD) || 2,
+    step: 1,
+    parse: text => Number(text),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= 10000 ? null : 'Send a whole number from 1 to 10000.',
+    format: value => `${value}`
+  },
+  autoPostHours: {
+    label: 'Auto-post interval',
+    env: 'AUTO_POST_HOURS',
+    defaultValue: parseInt(process.env.AUTO_POST_HOURS) || 24,
+    step: 1,
+    parse: text => Number(text),
+    validate: value => Number.isInteger(value) && value >= 1 && value <= 720 ? null : 'Send a whole number of hours from 1 to 720.',
+    format: value => `${value} hours`
+  },
+  channelUsername: {
+    label: 'Channel username',
+    env: 'CHANNEL_USERNAME',
+    defaultValue: process.env.CHANNEL_USERNAME || 'stitchvault',
+    parse: text => text.trim().replace(/^@/, ''),
+    validate: value => /^[A-Za-z][A-Za-z0-9_]{3,31}$/.test(value) ? null : 'Send a Telegram username like @stitchvault.',
+    format: value => `@${value}`
+  },
+  // Owners - every other staff role is granted with /grant (roles.js)
+  adminIds: {
+    label: 'Owners',
+    env: 'ADMIN_IDS',
+    defaultValue: process.env.ADMIN_IDS ? parseAdminIds(process.env.ADMIN_IDS) : [],
+    parse: parseAdminIds,
+    validate: value => value.length > 0 && value.every(id => Number.isInteger(id) && id > 0)
+      ? null
+      : 'Send one or more numeric user ids separated by commas.',
+    format: value => value.join(', ') || 'none'
+  }
+};
+
+// Setting Schema - one document per overridden setting
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: Number,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+// Setting Change Schema - audit trail, never updated
+const settingChangeSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  oldValue: mongoose.Schema.Types.Mixed,
+  newValue: mongoose.Schema.Types.Mixed,
+  reset: { type: Boolean, default: false }, // back to the env default
+  changedBy: Number,
+  changedAt: { type: Date, default: Date.now }
+});
+
+settingChangeSchema.index({ changedAt: -1 });
+
+const SettingChange = mongoose.model('SettingChange', settingChangeSchema);
+
+// Live values, read synchronously everywhere (isAdmin runs on every message)
+const currentValues = {};
+const overridden = new Set();
+for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+  currentValues[key] = definition.defaultValue;
+}
+
+const changeListeners = [];
+
+// Admins waiting to type a new value: adminId -> { key, expiresAt }
+const pendingEdits = new Map();
+
+function getSetting(key) {
+  return currentValues[key];
+}
+
+// listener(key, value) runs after every saved change
+function onSettingChange(listener) {
+  changeListeners.push(listener);
+}
+
+async function notifyListeners(key) {
+  for (const listener of changeListeners) {
+    try {
+      await listener(key, currentValues[key]);
+    } catch (error) {
+      console.error(`Setting ${key} listener error:`, error);
+    }
+  }
+}
+
+async function loadSettings() {
+  try {
+    const saved = await Setting.find();
+    for (const setting of saved) {
+      const definition = SETTING_DEFINITIONS[setting.key];
+      if (!definition || definition.validate(setting.value)) {
+        console.error(`Ignoring invalid saved setting ${setting.key}:`, setting.value);
+        continue;
+      }
+      currentValues[setting.key] = setting.value;
+      overridden.add(setting.key);
+    }
+    
+    console.log(`Settings loaded (${overridden.size} set with /settings, the rest from env)`);
+  } catch (error) {
+    console.error('Settings load error:', error);
+  }
+}
+
+// Returns an error message, or null once the value is saved and live
+async function updateSetting(key, value, adminId) {
+  const definition = SETTING_DEFINITIONS[key];
+  const error = definition.validate(value);
+  if (error) return error;
+  
+  if (key === 'adminIds' && !value.includes(adminId)) {
+    return 'You cannot remove yourself from the owners.';
+  }
+  
+  const oldValue = currentValues[key];
+  if (JSON.stringify(oldValue) === JSON.stringify(value)) {
+    return null;
+  }
+  
+  await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: adminId, updatedAt: new Date() },
+    { upsert: true }
+  );
+  await SettingChange.create({ key, oldValue, newValue: value, changedBy: adminId });
+  
+  currentValues[key] = value;
+  overridden.add(key);
+  await notifyListeners(key);
+  return null;
+}
+
+async function resetSetting(key, adminId) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!overridden.has(key)) return;
+  
+  if (key === 'adminIds' && !definition.defaultValue.includes(adminId)) {
+    return 'You are not in ADMIN_IDS, so resetting would lock you out.';
+  }
+  
+  const oldValue = currentValues[key];
+  await Setting.deleteOne({ key });
+  await SettingChange.create({ key, oldValue, newValue: definition.defaultValue, reset: true, changedBy: adminId });
+  
+  currentValues[key] = definition.defaultValue;
+  overridden.delete(key);
+  await notifyListeners(key);
+}
+
+// Both edit paths also write an AuditEntry so /audit shows setting changes.
+// audit_log is required here rather than at the top: it loads roles, which loads this file.
+async function auditSettingChange({ adminId, action, key, oldValue, error }) {
+  const { recordAuditEntry } = require('./audit_log');
+  const changed = !error && JSON.stringify(oldValue) !== JSON.stringify(currentValues[key]);
+  await recordAuditEntry({
+    userId: adminId,
+    action,
+    args: key,
+    before: { [key]: oldValue },
+    after: changed ? { [key]: currentValues[key] } : null,
+    error
+  });
+}
+
+function describeSettings() {
+  let message = `⚙️ Bot Settings\n\n`;
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    message +=
+      `${definition.label}: ${definition.format(currentValues[key])}` +
+      `${overridden.has(key) ? ' ✏️' : ` (${definition.env})`}\n`;
+  }
+  message += `\n✏️ = set with /settings, otherwise the env default. Changes apply immediately.`;
+  return message;
+}
+
+function settingsKeyboard() {
+  const rows = [];
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    const row = [{ text: `✏️ ${definition.label}`, callback_data: `set_edit_${key}` }];
+    if (definition.step) {
+      row.push(
+        { text: '➖', callback_data: `set_dec_${key}` },
+        { text: '➕', callback_data: `set_inc_${key}` }
+      );
+    }
+    if (overridden.has(key)) {
+      row.push({ text: '↩️', callback_data: `set_reset_${key}` });
+    }
+    rows.push(row);
+  }
+  rows.push([{ text: '📜 Change history', callback_data: 'set_history' }]);
+  return { inline_keyboard: rows };
+}
+
+async function showSettings(chatId, messageId) {
+  const options = { reply_markup: settingsKeyboard() };
+  if (messageId) {
+    return bot.editMessageText(describeSettings(), { chat_id: chatId, message_id: messageId, ...options })
+      .catch(() => {}); // "message is not modified" when nothing changed
+  }
+  return bot.sendMessage(chatId, describeSettings(), options);
+}
+
+async function formatHistory(limit) {
+  const changes = await SettingChange.find().sort({ changedAt: -1 }).limit(limit);
+  if (changes.length === 0) {
+    return '📜 No settings have been changed yet.';
+  }
+  
+  let message = `📜 Settings History (last ${changes.length})\n\n`;
+  changes.forEach(change => {
+    const definition = SETTING_DEFINITIONS[change.key];
+    const format = definition ? definition.format : JSON.stringify;
+    message +=
+      `${change.changedAt.toLocaleString()} - ${definition ? definition.label : change.key}\n` +
+      `${format(change.oldValue)} → ${format(change.newValue)}${change.reset ? ' (reset to env)' : ''}` +
+      ` by ${change.changedBy}\n\n`;
+  });
+  return message;
+}
+
+commandRouter.register('settings', {
+  permission: 'settings',
+  args: /^(history)?$/i,
+  usage: '/settings [history]'
+}, async (msg, match) => {
+  const chatId = msg.chat.id;
+  
+  try {
+    if (match[1]) {
+      return bot.sendMessage(chatId, await formatHistory(20));
+    }
+    await showSettings(chatId);
+  } catch (error) {
+    console.error('Settings error:', error);
+    bot.sendMessage(chatId, 'Error loading settings.');
+  }
+});
+
+commandRouter.registerCallback('set_', { permission: 'settings' }, async (callbackQuery, rest) => {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const adminId = callbackQuery.from.id;
+  
+  if (rest === 'history') {
+    await bot.answerCallbackQuery(callbackQuery.id);
+    return bot.sendMessage(chatId, await formatHistory(20));
+  }
+  
+  const [, action, key] = rest.match(/^(edit|inc|dec|reset)_(\w+)$/) || [];
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    return bot.answerCallbackQuery(callbackQuery.id, { text: 'Unknown setting' });
+  }
+  
+  if (action === 'edit') {
+    pendingEdits.set(adminId, { key, expiresAt: Date.now() + EDIT_TIMEOUT_MS });
+    await bot.answerCallbackQuery(callbackQuery.id);
+    return bot.sendMessage(chatId,
+      `✏️ ${definition.label}\n` +
+      `Current: ${definition.format(currentValues[key])}\n\n` +
+      `Send the new value, or "cancel".`,
+      { reply_markup: { force_reply: true } }
+    );
+  }
+  
+  const oldValue = currentValues[key];
+  let error = null;
+  if (action === 'reset') {
+    error = await resetSetting(key, adminId);
+  } else {
+    const value = currentValues[key] + (action === 'inc' ? definition.step : -definition.step);
+    error = await updateSetting(key, value, adminId);
+  }
+  await auditSettingChange({ adminId, action: `button set_${action}_`, key, oldValue, error });
+  
+  await bot.answerCallbackQuery(callbackQuery.id, {
+    text: error || `${definition.label}: ${definition.format(currentValues[key])}`,
+    show_alert: !!error
+  });
+  if (!error) {
+    await showSettings(chatId, messageId);
+  }
+});
+
+// The value typed after pressing ✏️
+bot.on('message', async (msg) => {
+  if (!msg.from || !msg.text || msg.text.startsWith('/')) return;
+  
+  const adminId = msg.from.id;
+  const pending = pendingEdits.get(adminId);
+  if (!pending) return;
+  
+  pendingEdits.delete(adminId);
+  if (pending.expiresAt < Date.now() || !hasPermission(adminId, 'settings')) return;
+  
+  const chatId = msg.chat.id;
+  const definition = SETTING_DEFINITIONS[pending.key];
+  
+  try {
+    if (msg.text.trim().toLowerCase() === 'cancel') {
+      return bot.sendMessage(chatId, '❌ Edit cancelled.');
+    }
+    
+    const oldValue = currentValues[pending.key];
+    const error = await updateSetting(pending.key, definition.parse(msg.text), adminId);
+    await auditSettingChange({ adminId, action: '/settings edit', key: pending.key, oldValue, error });
+    if (error) {
+      return bot.sendMessage(chatId, `❌ ${error}\nPress ✏️ in /settings to try again.`);
+    }
+    
+    await bot.sendMessage(chatId, `✅ ${definition.label} is now ${definition.format(currentValues[pending.key])}`);
+    await showSettings(chatId);
+  } catch (error) {
+    console.error('Setting edit error:', error);
+    bot.sendMessage(chatId, 'Error saving the setting.');
+  }
+});
+
+module.exports = {
+  Setting,
+  SettingChange,
+  SETTING_DEFINITIONS,
+  getSetting,
+  onSettingChange,
+  loadSettings,
+  updateSetting
+};